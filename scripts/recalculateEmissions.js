@@ -0,0 +1,63 @@
+// Recalculate stored order emissions with the current emission factors
+//
+// Usage:
+//   npm run recalculate -- [--user <userId>] [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const RecalculationJob = require('../src/models/RecalculationJob');
+const {
+  createRecalculationJob,
+  waitForRecalculationJob,
+  formatRecalculationJob
+} = require('../src/services/recalculationJobs');
+const { loadFactorDataset } = require('../src/services/totalEmissions');
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--user') options.userId = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (options.userId && !mongoose.Types.ObjectId.isValid(options.userId)) {
+    throw new Error(`Invalid user id: ${options.userId}`);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  await mongoose.connect(process.env.MONGODB_URI);
+  const factorVersion = await loadFactorDataset();
+  console.log(`Using emission factor dataset version ${factorVersion}`);
+
+  // Runs in this process, like any job the server would run, and is kept with the server's jobs
+  const { _id: jobId } = await createRecalculationJob(options);
+  await waitForRecalculationJob(jobId);
+  const report = formatRecalculationJob(await RecalculationJob.findById(jobId));
+
+  if (report.largestDeltas.length > 0) {
+    console.log('Largest changes:');
+  }
+  for (const entry of report.largestDeltas) {
+    console.log(`  ${entry.platform} ${entry.orderId}: ${entry.previousTotalEmission} -> ${entry.totalEmission} kg CO2e (${entry.delta >= 0 ? '+' : ''}${entry.delta})`);
+  }
+  for (const entry of report.failures) {
+    console.log(`  failed   ${entry.platform} ${entry.orderId}: ${entry.reason}`);
+  }
+
+  console.log(`\n${report.dryRun ? 'Dry run: ' : ''}${report.progress.processed} orders processed (job ${report.id}, ${report.status})`);
+  console.log(`Changed: ${report.counts.changed}, unchanged: ${report.counts.unchanged}, failed: ${report.counts.failed}`);
+  console.log(`Total delta: ${report.totalDelta} kg CO2e`);
+  if (report.status === 'failed') {
+    throw new Error(report.error);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Recalculation failed:', error.message);
+    process.exit(1);
+  });
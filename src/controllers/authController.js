@@ -2,6 +2,9 @@ const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
+const { getDeliveryVehicles, setDeliveryVehicles } = require('../services/deliveryVehicles');
+const { createRecalculationJob } = require('../services/recalculationJobs');
+const { DEFAULT_TRANSPORT } = require('../services/transportModes');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -163,4 +166,40 @@ exports.updatePlatformCredentials = async (req, res) => {
     console.error('Update credentials error:', error);
     res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+};
+
+// Get delivery vehicle preferences
+exports.getDeliveryVehicles = async (req, res) => {
+  try {
+    const deliveryVehicles = await getDeliveryVehicles(req.user.id);
+    res.json({ deliveryVehicles, defaultTransportMode: DEFAULT_TRANSPORT });
+  } catch (error) {
+    console.error('Get delivery vehicles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Update delivery vehicle preferences and queue a recalculation of the orders they apply to
+exports.updateDeliveryVehicles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const deliveryVehicles = await setDeliveryVehicles(req.user.id, req.body.deliveryVehicles);
+
+    // Orders with a transport mode of their own keep it; the rest pick up the new preferences
+    const job = await createRecalculationJob({ userId: req.user.id, requestedBy: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: `Delivery vehicles updated, recalculating ${job.total} orders`,
+      deliveryVehicles,
+      recalculationJobId: job._id
+    });
+  } catch (error) {
+    console.error('Update delivery vehicles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
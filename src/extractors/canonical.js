@@ -0,0 +1,126 @@
+// Identifies our own order export format
+const CANONICAL_FORMAT = 'greenfork-orders';
+const CANONICAL_VERSION = 1;
+
+/**
+ * Checks whether a payload is one of our canonical exports
+ * @param {Object} jsonData - Candidate payload
+ * @returns {boolean} True for { format: 'greenfork-orders', orders: [...] }
+ */
+function isCanonicalExport(jsonData) {
+  return Boolean(jsonData && jsonData.format === CANONICAL_FORMAT && Array.isArray(jsonData.orders));
+}
+
+/**
+ * Builds a canonical export from stored orders
+ * @param {Array} orders - Order documents
+ * @returns {Object} Canonical export payload
+ */
+function exportCanonicalOrders(orders) {
+  return {
+    format: CANONICAL_FORMAT,
+    version: CANONICAL_VERSION,
+    exportedAt: new Date().toISOString(),
+    orders: orders.map(order => ({
+      platform: order.platform,
+      orderId: order.orderId,
+      restaurantName: order.restaurantName,
+      orderDate: order.orderDate,
+      orderAmount: order.orderAmount,
+      orderStatus: order.orderStatus,
+      items: (order.items || []).map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        price: item.price
+      })),
+      dishString: order.dishString,
+      deliveryAddress: order.deliveryAddress,
+      restaurantAddress: order.restaurantAddress,
+      distanceKm: order.emissionData?.factors?.distance,
+      // Whether distanceKm was routed, estimated or the 5 km fallback
+      distanceSource: order.emissionData?.ranges?.travel?.source,
+      // Only a mode set on the order; otherwise the importing user's delivery vehicle preferences apply
+      transportMode: order.emissionData?.factors?.transportModeSource === 'order'
+        ? order.emissionData.factors.transportMode
+        : undefined,
+      packagingType: order.emissionData?.factors?.packagingType
+    }))
+  };
+}
+
+/**
+ * Extracts orders from a canonical export
+ * @param {Object} jsonData - Canonical export payload
+ * @param {Array} [rejected] - Collects { orderId, platform, reason } for orders that could not be processed
+ * @returns {Promise<Array>} Array of processed order objects
+ */
+async function extractCanonicalOrders(jsonData, rejected = []) {
+  if (!isCanonicalExport(jsonData)) {
+    console.error('Invalid canonical export format');
+    return [];
+  }
+
+  return jsonData.orders.map(order => {
+    try {
+      if (!order.orderId || !order.platform || !order.restaurantName) {
+        throw new Error('missing required fields');
+      }
+
+      const items = Array.isArray(order.items) ? order.items.map(item => ({
+        name: item.name || '',
+        quantity: parseInt(item.quantity) || 1,
+        price: item.price != null ? parseFloat(item.price) : null
+      })) : [];
+
+      return {
+        orderId: order.orderId.toString(),
+        restaurantName: order.restaurantName,
+        orderDate: order.orderDate || '',
+        orderAmount: parseFloat(order.orderAmount) || 0,
+        orderStatus: order.orderStatus || 'Delivered',
+        items,
+        dishString: order.dishString || '',
+        restaurantAddress: order.restaurantAddress || '',
+        deliveryAddress: order.deliveryAddress || '',
+        distanceKm: parseFloat(order.distanceKm) || 0,
+        distanceSource: order.distanceSource,
+        transportMode: order.transportMode,
+        packagingType: order.packagingType,
+        platform: order.platform
+      };
+    } catch (err) {
+      rejected.push({ orderId: order?.orderId ? order.orderId.toString() : null, platform: order?.platform, reason: err.message });
+      return null;
+    }
+  }).filter(order => order !== null);
+}
+
+/**
+ * Combines several canonical exports into one
+ * @param {Array} captures - [{ payload, url }]
+ * @returns {Object} Canonical export payload
+ */
+function mergeCanonicalPayloads(captures) {
+  return {
+    format: CANONICAL_FORMAT,
+    version: CANONICAL_VERSION,
+    orders: captures.flatMap(({ payload }) => payload.orders)
+  };
+}
+
+module.exports = {
+  id: 'canonical',
+  name: 'canonical export',
+  // Not a delivery platform: orders keep the platform they were exported with
+  isPlatform: false,
+  formats: [
+    'GreenFork canonical export from GET /api/orders/export (object with format "greenfork-orders" and orders)'
+  ],
+  detect: isCanonicalExport,
+  parse: extractCanonicalOrders,
+  merge: mergeCanonicalPayloads,
+  CANONICAL_FORMAT,
+  isCanonicalExport,
+  exportCanonicalOrders,
+  extractCanonicalOrders
+};
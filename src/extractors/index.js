@@ -1,7 +1,87 @@
-const extractZomatoOrders = require('./zomato');
-const extractSwiggyOrders = require('./swiggy');
+const zomato = require('./zomato');
+const swiggy = require('./swiggy');
+const canonical = require('./canonical');
+
+/**
+ * Extractor registry
+ * Each module declares:
+ * - id:           URL-safe identifier, used for /api/orders/:id routes
+ * - name:         Display name, stored as Order.platform
+ * - formats:      Human readable descriptions of the payloads it accepts
+ * - instructions: Steps shown to users for exporting their order history
+ * - detect(payload, url):    Whether a payload belongs to this module
+ * - parse(payload, rejected): Extracts normalized orders
+ * - merge(captures):         Combines several captured responses into one payload
+ * - assessHistory(payload):  Optional, reports whether a history looks complete
+ * - isPlatform:   false for formats that are not delivery platforms (e.g. our canonical export)
+ */
+const registry = [];
+
+/**
+ * Adds an extractor module to the registry
+ * @param {Object} extractor - Extractor module
+ */
+function registerExtractor(extractor) {
+  const required = ['id', 'name', 'detect', 'parse', 'merge'];
+  const missing = required.filter(key => !extractor[key]);
+  if (missing.length > 0) {
+    throw new Error(`Extractor ${extractor.id || extractor.name || '(unnamed)'} is missing ${missing.join(', ')}`);
+  }
+  if (registry.some(existing => existing.id === extractor.id)) {
+    throw new Error(`Extractor ${extractor.id} is already registered`);
+  }
+  registry.push({ isPlatform: true, formats: [], instructions: [], ...extractor });
+}
+
+// Our own export is checked first: it carries an explicit format marker
+registerExtractor(canonical);
+registerExtractor(zomato);
+registerExtractor(swiggy);
+
+/**
+ * Lists registered delivery platforms
+ * @returns {Array} Extractor modules for delivery platforms
+ */
+function listPlatforms() {
+  return registry.filter(extractor => extractor.isPlatform);
+}
+
+/**
+ * Gets a registered extractor by id or display name
+ * @param {string} key - e.g. "swiggy" or "Swiggy"
+ * @returns {Object|undefined} Extractor module
+ */
+function getExtractor(key) {
+  const lower = String(key || '').toLowerCase();
+  return registry.find(extractor => extractor.id === lower || extractor.name.toLowerCase() === lower);
+}
+
+/**
+ * Describes every payload format the import endpoints understand
+ * @returns {Array} Format descriptions
+ */
+function getAcceptedFormats() {
+  return registry.flatMap(extractor => extractor.formats);
+}
+
+/**
+ * Detects which extractor a captured response or pasted payload belongs to
+ * Uses the request URL when known (e.g. from a HAR capture), otherwise the payload shape
+ * @param {Object|Array} payload - Parsed JSON response
+ * @param {string} [url] - URL the response was fetched from
+ * @returns {Object|null} Extractor module or null when unrecognised
+ */
+function detectFormat(payload, url = '') {
+  return registry.find(extractor => extractor.detect(payload, url)) || null;
+}
 
 module.exports = {
-  extractZomatoOrders,
-  extractSwiggyOrders
-}; 
\ No newline at end of file
+  registerExtractor,
+  listPlatforms,
+  getExtractor,
+  getAcceptedFormats,
+  detectFormat,
+  extractZomatoOrders: zomato.extractZomatoOrders,
+  extractSwiggyOrders: swiggy.extractSwiggyOrders,
+  exportCanonicalOrders: canonical.exportCanonicalOrders
+};
@@ -1,26 +1,168 @@
 const axios = require('axios');
 
+// Number of orders Swiggy returns per /dapi/order/all page
+const SWIGGY_PAGE_SIZE = 10;
+
+/**
+ * Checks whether a payload is a single /dapi/order/all page
+ * @param {Object} page - Candidate page payload
+ * @returns {boolean} True if the payload holds data.orders
+ */
+function isSwiggyPage(page) {
+  return Boolean(page && page.data && Array.isArray(page.data.orders));
+}
+
+/**
+ * Normalizes the accepted inputs (one page, or an array of pages) into a list of pages
+ * A page may carry the `cursor` (order_id query parameter) it was requested with
+ * @param {Object|Array} jsonData - Raw Swiggy page or pages
+ * @returns {Array|null} Pages, or null when the format is not recognised
+ */
+function toSwiggyPages(jsonData) {
+  const pages = Array.isArray(jsonData) ? jsonData : [jsonData];
+  if (pages.length === 0 || !pages.every(isSwiggyPage)) {
+    return null;
+  }
+  return pages;
+}
+
+/**
+ * Parses Swiggy's restaurant_lat_lng ("12.9352,77.6245")
+ * @param {string} latLng - Raw coordinate string
+ * @returns {Object|null} Coordinates {lat, lng} or null
+ */
+function parseSwiggyLatLng(latLng) {
+  const [lat, lng] = String(latLng || '').split(',').map(value => parseFloat(value));
+  return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
+
+/**
+ * Orders two Swiggy order ids, newest first
+ * Order ids are numeric and increase over time; fall back to string comparison otherwise
+ * @param {string|number} a - Order id
+ * @param {string|number} b - Order id
+ * @returns {number} Sort comparison value
+ */
+function compareOrderIdsDesc(a, b) {
+  const numA = Number(a);
+  const numB = Number(b);
+  if (!isNaN(numA) && !isNaN(numB)) return numB - numA;
+  return String(b).localeCompare(String(a));
+}
+
+/**
+ * Merges Swiggy pages newest first, de-duplicating orders by order_id
+ * @param {Array} pages - Swiggy pages
+ * @returns {Object} { pages (sorted), orders, duplicateCount }
+ */
+function mergeSwiggyPages(pages) {
+  const sortedPages = pages
+    .filter(page => page.data.orders.length > 0)
+    .sort((a, b) => compareOrderIdsDesc(a.data.orders[0].order_id, b.data.orders[0].order_id));
+
+  const seen = new Set();
+  const orders = [];
+  let duplicateCount = 0;
+
+  for (const page of sortedPages) {
+    for (const order of page.data.orders) {
+      const key = order && order.order_id != null ? order.order_id.toString() : null;
+      if (key && seen.has(key)) {
+        duplicateCount += 1;
+        continue;
+      }
+      if (key) seen.add(key);
+      orders.push(order);
+    }
+  }
+
+  return { pages: sortedPages, orders, duplicateCount };
+}
+
+/**
+ * Assesses whether a set of Swiggy pages covers the full order history
+ * - Swiggy pages by order_id cursor, so a page requested with a cursor must follow
+ *   the page whose last order carries that id
+ * - Only the oldest page may hold fewer than a full page of orders
+ * - The history is complete once the oldest page is short (Swiggy ran out of orders)
+ * @param {Object|Array} jsonData - Raw Swiggy page or pages
+ * @returns {Object|null} History completeness summary, or null for invalid input
+ */
+function assessSwiggyHistory(jsonData) {
+  const rawPages = toSwiggyPages(jsonData);
+  if (!rawPages) return null;
+
+  const { pages, orders, duplicateCount } = mergeSwiggyPages(rawPages);
+  const gaps = [];
+
+  for (let i = 0; i < pages.length - 1; i++) {
+    const newer = pages[i].data.orders;
+    const older = pages[i + 1];
+    const lastOrderId = newer[newer.length - 1].order_id;
+    const overlaps = older.data.orders.some(order =>
+      newer.some(newerOrder => String(newerOrder.order_id) === String(order.order_id))
+    );
+
+    if (overlaps) continue;
+
+    if (older.cursor != null) {
+      if (String(older.cursor) === String(lastOrderId)) continue;
+      gaps.push({
+        afterOrderId: String(lastOrderId),
+        beforeOrderId: String(older.data.orders[0].order_id),
+        reason: `Page requested with cursor ${older.cursor} does not follow order ${lastOrderId}`
+      });
+    } else if (newer.length < SWIGGY_PAGE_SIZE) {
+      gaps.push({
+        afterOrderId: String(lastOrderId),
+        beforeOrderId: String(older.data.orders[0].order_id),
+        reason: 'A partial page is followed by older orders'
+      });
+    }
+  }
+
+  const oldestPage = pages[pages.length - 1];
+  const reachedEnd = !oldestPage || oldestPage.data.orders.length < SWIGGY_PAGE_SIZE ||
+    rawPages.some(page => page.data.orders.length === 0);
+
+  return {
+    complete: reachedEnd && gaps.length === 0,
+    reachedEnd,
+    pageCount: rawPages.length,
+    orderCount: orders.length,
+    duplicateCount,
+    gaps
+  };
+}
+
 /**
  * Extracts order data from Swiggy
- * Processes JSON data provided by the user
- * @param {Object} jsonData - Raw Swiggy order data JSON
+ * Processes JSON data provided by the user, either one /dapi/order/all page
+ * or an array of pages that are merged and de-duplicated by order_id
+ * @param {Object|Array} jsonData - Raw Swiggy order data JSON
+ * @param {Array} [rejected] - Collects { orderId, platform, reason } for orders that could not be processed
  * @returns {Array} Array of processed order objects
  */
-async function extractSwiggyOrders(jsonData) {
+async function extractSwiggyOrders(jsonData, rejected = []) {
   try {
     console.log('Starting Swiggy order extraction...');
 
-    if (!jsonData || !jsonData.data || !jsonData.data.orders || !Array.isArray(jsonData.data.orders)) {
+    const pages = toSwiggyPages(jsonData);
+    if (!pages) {
       console.error('Invalid Swiggy data format');
       return [];
     }
 
-    const swiggyOrders = jsonData.data.orders;
-    console.log(`Processing ${swiggyOrders.length} Swiggy orders`);
+    const { orders: swiggyOrders, duplicateCount } = mergeSwiggyPages(pages);
+    console.log(`Processing ${swiggyOrders.length} Swiggy orders from ${pages.length} pages (${duplicateCount} duplicates skipped)`);
 
     // Process each order
     const processedOrders = swiggyOrders.map(order => {
       try {
+        if (!order.order_id || !order.restaurant_name) {
+          throw new Error('missing required fields');
+        }
+
         // Extract basic order details
         const orderId = order.order_id.toString();
         const restaurantName = order.restaurant_name || '';
@@ -32,7 +174,9 @@ async function extractSwiggyOrders(jsonData) {
         const items = order.order_items ? order.order_items.map(item => ({
           name: item.name || '',
           quantity: parseInt(item.quantity) || 1,
-          price: parseFloat(item.base_price) || 0
+          price: parseFloat(item.base_price) || 0,
+          // Swiggy flags veg items with is_veg "1"/"0" (egg dishes are flagged non-veg)
+          isVeg: item.is_veg != null ? ['1', 'true'].includes(String(item.is_veg)) : undefined
         })) : [];
 
         // Extract restaurant and delivery addresses
@@ -43,20 +187,28 @@ async function extractSwiggyOrders(jsonData) {
         // Extract travel distance
         const distanceKm = parseFloat(order.restaurant_customer_distance) || 0;
 
+        // restaurant_cuisine is an array of cuisine names, e.g. ["Biryani", "Andhra"]
+        const cuisines = Array.isArray(order.restaurant_cuisine) ? order.restaurant_cuisine : [];
+
         return {
           orderId,
           restaurantName,
+          platformRestaurantId: order.restaurant_id != null ? order.restaurant_id.toString() : undefined,
           orderDate,
           orderAmount: orderTotal,
           orderStatus,
           items,
           restaurantAddress,
           deliveryAddress,
+          restaurantCoords: parseSwiggyLatLng(order.restaurant_lat_lng),
+          restaurantCity: order.restaurant_city_name || '',
+          cuisines,
           distanceKm,
           platform: 'Swiggy'
         };
       } catch (err) {
         console.error(`Error processing Swiggy order ${order.order_id}:`, err);
+        rejected.push({ orderId: order.order_id ? order.order_id.toString() : null, platform: 'Swiggy', reason: err.message });
         return null;
       }
     }).filter(order => order !== null);
@@ -69,4 +221,62 @@ async function extractSwiggyOrders(jsonData) {
   }
 }
 
-module.exports = extractSwiggyOrders; 
\ No newline at end of file
+/**
+ * Checks whether a payload is a Swiggy order response (one page or an array of pages)
+ * @param {Object|Array} payload - Parsed JSON
+ * @param {string} [url] - URL the response was fetched from
+ * @returns {boolean} True for Swiggy payloads
+ */
+function isSwiggyPayload(payload, url = '') {
+  if (/swiggy\.com\/dapi\/order\/all/.test(url)) return true;
+  return toSwiggyPages(payload) !== null;
+}
+
+/**
+ * Reads the order_id cursor a Swiggy page was requested with
+ * @param {string} url - Request URL
+ * @returns {string|null} Cursor value
+ */
+function getCursorFromUrl(url) {
+  try {
+    return new URL(url).searchParams.get('order_id');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Combines several captured Swiggy responses into one array of pages,
+ * tagging each page with the cursor it was requested with when the URL is known
+ * @param {Array} captures - [{ payload, url }]
+ * @returns {Array} Swiggy pages
+ */
+function mergeSwiggyPayloads(captures) {
+  return captures.flatMap(({ payload, url }) => {
+    const pages = Array.isArray(payload) ? payload : [payload];
+    const cursor = url ? getCursorFromUrl(url) : null;
+    return cursor != null ? pages.map(page => ({ ...page, cursor })) : pages;
+  });
+}
+
+module.exports = {
+  id: 'swiggy',
+  name: 'Swiggy',
+  formats: [
+    'Swiggy /dapi/order/all response (object with data.orders), or an array of such pages'
+  ],
+  instructions: [
+    '1. Open a new browser tab and go to https://www.swiggy.com/dapi/order/all',
+    '2. Make sure you are logged in to Swiggy in that tab',
+    '3. Copy the entire JSON response from that page',
+    '4. For older orders, open https://www.swiggy.com/dapi/order/all?order_id=<last order_id of the previous page> and copy that response too, until a page has fewer than 10 orders',
+    '5. Return to this app and paste the JSON in the text area below (several pages can be pasted as a JSON array)',
+    '6. Click "Import Orders" to process your data'
+  ],
+  detect: isSwiggyPayload,
+  parse: extractSwiggyOrders,
+  merge: mergeSwiggyPayloads,
+  assessHistory: assessSwiggyHistory,
+  extractSwiggyOrders,
+  assessSwiggyHistory
+}; 
\ No newline at end of file
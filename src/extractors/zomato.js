@@ -1,23 +1,230 @@
-const axios = require('axios');
+const { splitDishString, parseQuantity } = require('../services/dishParser');
+
+/**
+ * Convert a month name to its zero-based month number
+ * @param {string} monthName - e.g. "January"
+ * @returns {number|undefined} Month number
+ */
+function getMonthNumber(monthName) {
+  const months = {
+    'January': 0, 'February': 1, 'March': 2, 'April': 3,
+    'May': 4, 'June': 5, 'July': 6, 'August': 7,
+    'September': 8, 'October': 9, 'November': 10, 'December': 11
+  };
+  return months[monthName];
+}
+
+// Zomato shows order times in Indian Standard Time (UTC+05:30)
+const ZOMATO_UTC_OFFSET_MINUTES = 330;
+
+/**
+ * Parses a Zomato order date
+ * Handles "January 29, 2025 at 09:09 PM" as well as ISO strings. The time is
+ * read as IST, so the result does not depend on the server's timezone.
+ * @param {string} value - Raw Zomato date
+ * @returns {string} ISO date string, or the raw value if it cannot be parsed
+ */
+function parseZomatoDate(value) {
+  if (typeof value !== 'string' || !value.includes(' at ')) {
+    return value || '';
+  }
+
+  const [datePart, timePart] = value.split(' at ');
+  const [month, day, year] = datePart.replace(',', '').split(' ');
+  const [time, period] = (timePart || '').split(' ');
+  const [hours, minutes] = (time || '').split(':');
+
+  let hour = parseInt(hours);
+  if (period === 'PM' && hour !== 12) hour += 12;
+  if (period === 'AM' && hour === 12) hour = 0;
+
+  const date = new Date(Date.UTC(parseInt(year), getMonthNumber(month), parseInt(day), hour,
+    parseInt(minutes) - ZOMATO_UTC_OFFSET_MINUTES));
+  return isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+/**
+ * Parses a Zomato cost string such as "₹1,234.50"
+ * @param {string|number} value - Raw cost
+ * @returns {number} Cost in rupees
+ */
+function parseZomatoCost(value) {
+  return parseFloat(String(value || '0').replace('₹', '').replace(/,/g, '').trim()) || 0;
+}
+
+/**
+ * Extracts restaurant coordinates from a Google Maps direction URL
+ * e.g. "https://www.google.com/maps/dir/?api=1&destination=28.6343552938,77.0687179640"
+ * @param {string} directionUrl - Direction URL
+ * @returns {Object|null} Coordinates {lat, lng} or null
+ */
+function parseDirectionUrl(directionUrl) {
+  const match = directionUrl && directionUrl.match(/destination=([\d.-]+),([\d.-]+)/);
+  if (!match) return null;
+  return {
+    lat: parseFloat(match[1]),
+    lng: parseFloat(match[2])
+  };
+}
+
+/**
+ * Splits a Zomato dish string ("2 x Paneer Tikka, 1 x Naan") into items
+ * @param {string} dishString - Raw dish string
+ * @returns {Array} Items with name and quantity
+ */
+function parseDishString(dishString) {
+  return splitDishString(dishString).map(entry => {
+    const { quantity, name } = parseQuantity(entry);
+    return {
+      name,
+      quantity,
+      price: null // Price per item not available in the data
+    };
+  });
+}
+
+/**
+ * Normalizes one order from Zomato's webroutes response
+ * @param {Object} order - Raw Zomato order
+ * @returns {Object} Processed order object
+ */
+function processZomatoOrder(order) {
+  if (!order.orderId || !order.resInfo || !order.deliveryDetails) {
+    throw new Error('missing required fields');
+  }
+
+  const resInfo = order.resInfo;
+  const locality = resInfo.locality;
+  const deliveryDetails = order.deliveryDetails;
+
+  return {
+    orderId: order.orderId.toString(),
+    restaurantName: resInfo.name || '',
+    platformRestaurantId: resInfo.id != null ? resInfo.id.toString() : undefined,
+    orderDate: parseZomatoDate(order.orderDate),
+    orderAmount: parseZomatoCost(order.totalCost),
+    orderStatus: deliveryDetails.deliveryLabel || 'Unknown',
+    items: parseDishString(order.dishString),
+    dishString: order.dishString || '',
+    restaurantAddress: locality?.addressString || '',
+    deliveryAddress: deliveryDetails.deliveryAddress || '',
+    restaurantCoords: parseDirectionUrl(locality?.directionUrl),
+    distanceKm: 0, // Zomato does not report the delivery distance
+    platform: 'Zomato',
+    details: {
+      restaurantRating: {
+        aggregateRating: resInfo.rating?.aggregate_rating,
+        ratingText: resInfo.rating?.rating_text,
+        ratingColor: resInfo.rating?.rating_color,
+        votes: resInfo.rating?.votes,
+        subtext: resInfo.rating?.subtext
+      },
+      restaurantImage: resInfo.thumb,
+      restaurantUrl: resInfo.resUrl,
+      restaurantPhone: resInfo.phone?.phone_string,
+      restaurantEstablishment: resInfo.establishment,
+      locality: locality ? {
+        cityId: locality.cityId,
+        localityName: locality.localityName,
+        localityUrl: locality.localityUrl,
+        addressString: locality.addressString,
+        directionTitle: locality.directionTitle,
+        directionUrl: locality.directionUrl
+      } : null,
+      deliveryDetails: {
+        deliveryStatus: deliveryDetails.deliveryStatus,
+        deliveryMessage: deliveryDetails.deliveryMessage,
+        deliveryLabel: deliveryDetails.deliveryLabel
+      },
+      paymentStatus: order.paymentStatus,
+      hashId: order.hashId,
+      reOrderUrl: order.reOrderUrl
+    }
+  };
+}
 
 /**
  * Extracts order data from Zomato
- * This implementation provides instructions for a browser-based approach
- * @returns {Promise<Array>} Array of order objects
+ * Processes the JSON returned by https://www.zomato.com/webroutes/user/orders,
+ * either as the full response (entities.ORDER) or as an array of orders
+ * @param {Object|Array} jsonData - Raw Zomato order data JSON
+ * @param {Array} [rejected] - Collects { orderId, platform, reason } for orders that could not be processed
+ * @returns {Promise<Array>} Array of processed order objects
  */
-async function extractZomatoOrders() {
+async function extractZomatoOrders(jsonData, rejected = []) {
   try {
     console.log('Starting Zomato order extraction...');
-    
-    // This is a placeholder implementation
-    // In a real implementation, this would use a browser-based approach
-    
-    console.log('Zomato order extraction completed');
-    return [];
+
+    let zomatoOrders;
+    if (Array.isArray(jsonData)) {
+      zomatoOrders = jsonData;
+    } else if (jsonData && jsonData.entities && jsonData.entities.ORDER) {
+      zomatoOrders = Object.values(jsonData.entities.ORDER);
+    } else {
+      console.error('Invalid Zomato data format');
+      return [];
+    }
+
+    console.log(`Processing ${zomatoOrders.length} Zomato orders`);
+
+    const processedOrders = zomatoOrders.map(order => {
+      try {
+        return processZomatoOrder(order);
+      } catch (err) {
+        console.error(`Error processing Zomato order ${order?.orderId}:`, err.message);
+        rejected.push({ orderId: order?.orderId ? order.orderId.toString() : null, platform: 'Zomato', reason: err.message });
+        return null;
+      }
+    }).filter(order => order !== null);
+
+    console.log(`Successfully processed ${processedOrders.length} Zomato orders`);
+    return processedOrders;
   } catch (error) {
     console.error('Error extracting Zomato orders:', error);
-    throw error;
+    return [];
   }
 }
 
-module.exports = extractZomatoOrders; 
\ No newline at end of file
+/**
+ * Checks whether a payload is a Zomato order response
+ * @param {Object|Array} payload - Parsed JSON
+ * @param {string} [url] - URL the response was fetched from
+ * @returns {boolean} True for Zomato payloads
+ */
+function isZomatoPayload(payload, url = '') {
+  if (/zomato\.com\/webroutes\/user\/orders/.test(url)) return true;
+  if (!payload || typeof payload !== 'object') return false;
+  if (payload.entities && payload.entities.ORDER) return true;
+  return Array.isArray(payload) && payload.length > 0 && payload.every(order => order && order.resInfo);
+}
+
+/**
+ * Combines several captured Zomato responses into one array of orders
+ * @param {Array} captures - [{ payload, url }]
+ * @returns {Array} Raw Zomato orders
+ */
+function mergeZomatoPayloads(captures) {
+  return captures.flatMap(({ payload }) =>
+    Array.isArray(payload) ? payload : Object.values(payload.entities?.ORDER || {})
+  );
+}
+
+module.exports = {
+  id: 'zomato',
+  name: 'Zomato',
+  formats: [
+    'Zomato webroutes response from /webroutes/user/orders (object with entities.ORDER)',
+    'Array of Zomato orders (objects with orderId and resInfo)'
+  ],
+  instructions: [
+    '1. Open a new browser tab and go to https://www.zomato.com/webroutes/user/orders',
+    '2. Make sure you are logged in to Zomato in that tab',
+    '3. Copy the entire JSON response from that page',
+    '4. Return to this app and paste the JSON in the text area below',
+    '5. Click "Import Orders" to process your data'
+  ],
+  detect: isZomatoPayload,
+  parse: extractZomatoOrders,
+  merge: mergeZomatoPayloads,
+  extractZomatoOrders
+};
@@ -0,0 +1,60 @@
+const axios = require('axios');
+const { getProviderTimeout } = require('./timeout');
+
+// Geoapify routing modes by route profile
+const MODES = {
+  driving: 'drive',
+  cycling: 'bicycle',
+  walking: 'walk'
+};
+
+/**
+ * Geocodes an address with the Geoapify geocoding API
+ * @param {string} address - Address string
+ * @returns {Object|null} { lat, lng, city } or null when not found
+ */
+async function geocode(address) {
+  const response = await axios.get('https://api.geoapify.com/v1/geocode/search', {
+    params: {
+      text: address,
+      filter: `countrycode:${process.env.GEO_COUNTRY_CODE || 'in'}`,
+      apiKey: process.env.GEOAPIFY_API_KEY
+    },
+    timeout: getProviderTimeout('geoapify')
+  });
+
+  const feature = response.data.features?.[0];
+  if (!feature) return null;
+
+  const [lng, lat] = feature.geometry.coordinates;
+  return { lat, lng, city: feature.properties?.city || null };
+}
+
+/**
+ * Routes between two points with the Geoapify routing API
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {string} profile - driving, cycling or walking
+ * @returns {Object|null} { distanceKm } or null when no route was found
+ */
+async function route(origin, destination, profile) {
+  const response = await axios.get('https://api.geoapify.com/v1/routing', {
+    params: {
+      waypoints: `${origin.lat},${origin.lng}|${destination.lat},${destination.lng}`,
+      mode: MODES[profile] || MODES.driving,
+      apiKey: process.env.GEOAPIFY_API_KEY
+    },
+    timeout: getProviderTimeout('geoapify')
+  });
+
+  const meters = response.data.features?.[0]?.properties?.distance;
+  return meters != null ? { distanceKm: meters / 1000 } : null;
+}
+
+module.exports = {
+  id: 'geoapify',
+  name: 'Geoapify',
+  isConfigured: () => Boolean(process.env.GEOAPIFY_API_KEY),
+  geocode,
+  route
+};
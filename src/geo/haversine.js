@@ -0,0 +1,43 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Road distance is longer than the straight line; typical detour ratios for Indian cities
+const ROAD_FACTORS = {
+  driving: 1.4,
+  cycling: 1.3,
+  walking: 1.25
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @returns {number} Distance in km
+ */
+function haversineKm(origin, destination) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(destination.lat - origin.lat);
+  const dLng = toRadians(destination.lng - origin.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(origin.lat)) * Math.cos(toRadians(destination.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Estimates the road distance between two points without any external service
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {string} profile - driving, cycling or walking
+ * @returns {Object} { distanceKm, estimated: true }
+ */
+async function route(origin, destination, profile) {
+  const roadFactor = parseFloat(process.env.GEO_ROAD_FACTOR) || ROAD_FACTORS[profile] || ROAD_FACTORS.driving;
+  return { distanceKm: haversineKm(origin, destination) * roadFactor, estimated: true };
+}
+
+module.exports = {
+  id: 'haversine',
+  name: 'Straight-line estimate',
+  isConfigured: () => true,
+  route,
+  haversineKm
+};
@@ -0,0 +1,152 @@
+const geoapify = require('./geoapify');
+const openRouteService = require('./openRouteService');
+const nominatim = require('./nominatim');
+const osrm = require('./osrm');
+const haversine = require('./haversine');
+const stub = require('./stub');
+const { normalizeAddress, buildRouteKey, getCached, setCached } = require('../services/geoCache');
+
+/**
+ * Geo provider registry
+ * Each module declares:
+ * - id:             Identifier used in GEO_PROVIDERS
+ * - name:           Display name
+ * - isConfigured(): Whether its API key or server URL is set
+ * - geocode(address):                     Optional, resolves an address to { lat, lng, city? } or null
+ * - route(origin, destination, profile):  Optional, returns { distanceKm, estimated? } or null
+ * - isDefault:      false for providers only used when listed explicitly (e.g. the test stub)
+ *
+ * GEO_PROVIDERS sets the order providers are tried in, e.g. "nominatim,osrm,haversine".
+ * Without it every configured default provider is tried in registration order.
+ * A provider that throws or finds nothing falls through to the next one.
+ * Results are cached (services/geoCache.js), so providers only see addresses and
+ * routes that are new or have expired.
+ */
+const registry = [];
+
+/**
+ * Adds a geo provider to the registry
+ * @param {Object} provider - Provider module
+ */
+function registerGeoProvider(provider) {
+  if (!provider.id || !provider.isConfigured || (!provider.geocode && !provider.route)) {
+    throw new Error(`Geo provider ${provider.id || provider.name || '(unnamed)'} needs an id, isConfigured and geocode or route`);
+  }
+  if (registry.some(existing => existing.id === provider.id)) {
+    throw new Error(`Geo provider ${provider.id} is already registered`);
+  }
+  registry.push({ isDefault: true, name: provider.id, ...provider });
+}
+
+registerGeoProvider(geoapify);
+registerGeoProvider(openRouteService);
+registerGeoProvider(nominatim);
+registerGeoProvider(osrm);
+registerGeoProvider(haversine);
+registerGeoProvider(stub);
+
+// Route profile by transport mode
+const ROUTE_PROFILES = {
+  bicycle: 'cycling',
+  'e-bicycle': 'cycling',
+  walking: 'walking'
+};
+
+/**
+ * Gets the route profile for a transport mode
+ * @param {string} transportType - e.g. "motorcycle" or "bicycle"
+ * @returns {string} driving, cycling or walking
+ */
+function getRouteProfile(transportType) {
+  return ROUTE_PROFILES[transportType] || 'driving';
+}
+
+/**
+ * Lists the providers to try for a capability, in order
+ * @param {string} capability - "geocode" or "route"
+ * @returns {Array} Configured provider modules
+ */
+function getActiveGeoProviders(capability) {
+  const configured = (process.env.GEO_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = configured.length > 0
+    ? configured.map(id => registry.find(provider => provider.id === id)).filter(Boolean)
+    : registry.filter(provider => provider.isDefault);
+
+  return providers.filter(provider => provider[capability] && provider.isConfigured());
+}
+
+/**
+ * Tries each provider in turn until one returns a result
+ * @param {string} capability - "geocode" or "route"
+ * @param {Array} args - Arguments for the provider function
+ * @returns {Object|null} Result with the provider id, or null when every provider failed
+ */
+async function tryProviders(capability, args) {
+  for (const provider of getActiveGeoProviders(capability)) {
+    try {
+      const result = await provider[capability](...args);
+      if (result) {
+        return { ...result, provider: provider.id };
+      }
+      console.warn(`[DEBUG] ${provider.name} found no ${capability} result, trying the next provider`);
+    } catch (error) {
+      console.error(`[DEBUG] ${provider.name} ${capability} failed:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves an address to coordinates
+ * @param {string} address - Address string
+ * @returns {Object|null} { lat, lng, city, provider } or null when no provider could geocode it
+ */
+async function geocodeAddress(address) {
+  if (!address || !address.trim()) return null;
+
+  const key = normalizeAddress(address);
+  const cached = await getCached('geocode', key);
+  if (cached) return cached;
+
+  const result = await tryProviders('geocode', [address]);
+  if (result) {
+    await setCached('geocode', key, result);
+  }
+  return result;
+}
+
+/**
+ * Finds the road distance between two points
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {string} transportType - Transport mode, used to pick the route profile
+ * @returns {Object|null} { distanceKm, estimated, provider } or null when no provider could route it
+ */
+async function routeDistance(origin, destination, transportType) {
+  const profile = getRouteProfile(transportType);
+  const key = buildRouteKey(origin, destination, profile);
+  const cached = await getCached('route', key);
+  if (cached) return cached;
+
+  const result = await tryProviders('route', [origin, destination, profile]);
+  if (!result) return null;
+
+  const route = { ...result, estimated: Boolean(result.estimated) };
+  // Offline estimates are cheap to redo and should not hide a real route once a router is back
+  if (!route.estimated) {
+    await setCached('route', key, route);
+  }
+  return route;
+}
+
+module.exports = {
+  registerGeoProvider,
+  getActiveGeoProviders,
+  getRouteProfile,
+  geocodeAddress,
+  routeDistance
+};
@@ -0,0 +1,35 @@
+const axios = require('axios');
+const { getProviderTimeout } = require('./timeout');
+
+/**
+ * Geocodes an address with a self-hosted Nominatim server (NOMINATIM_URL)
+ * @param {string} address - Address string
+ * @returns {Object|null} { lat, lng, city } or null when not found
+ */
+async function geocode(address) {
+  const baseUrl = process.env.NOMINATIM_URL.replace(/\/$/, '');
+  const response = await axios.get(`${baseUrl}/search`, {
+    params: {
+      q: address,
+      format: 'jsonv2',
+      limit: 1,
+      addressdetails: 1,
+      countrycodes: process.env.GEO_COUNTRY_CODE || 'in'
+    },
+    headers: { 'User-Agent': 'carbon-footprint-tracker' },
+    timeout: getProviderTimeout('nominatim')
+  });
+
+  const place = response.data?.[0];
+  if (!place) return null;
+
+  const { city, town, village } = place.address || {};
+  return { lat: parseFloat(place.lat), lng: parseFloat(place.lon), city: city || town || village || null };
+}
+
+module.exports = {
+  id: 'nominatim',
+  name: 'Nominatim',
+  isConfigured: () => Boolean(process.env.NOMINATIM_URL),
+  geocode
+};
@@ -0,0 +1,69 @@
+const axios = require('axios');
+const { getProviderTimeout } = require('./timeout');
+
+const BASE_URL = 'https://api.openrouteservice.org';
+
+// OpenRouteService profiles by route profile; the profile is part of the directions URL
+const PROFILES = {
+  driving: 'driving-car',
+  cycling: 'cycling-regular',
+  walking: 'foot-walking'
+};
+
+/**
+ * Geocodes an address with the OpenRouteService (Pelias) geocoder
+ * @param {string} address - Address string
+ * @returns {Object|null} { lat, lng, city } or null when not found
+ */
+async function geocode(address) {
+  const response = await axios.get(`${BASE_URL}/geocode/search`, {
+    params: {
+      api_key: process.env.OPENROUTESERVICE_API_KEY,
+      text: address,
+      'boundary.country': (process.env.GEO_COUNTRY_CODE || 'in').toUpperCase(),
+      size: 1
+    },
+    timeout: getProviderTimeout('ors')
+  });
+
+  const feature = response.data.features?.[0];
+  if (!feature) return null;
+
+  const [lng, lat] = feature.geometry.coordinates;
+  return { lat, lng, city: feature.properties?.locality || null };
+}
+
+/**
+ * Routes between two points with the OpenRouteService directions API
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {string} profile - driving, cycling or walking
+ * @returns {Object|null} { distanceKm } or null when no route was found
+ */
+async function route(origin, destination, profile) {
+  const orsProfile = PROFILES[profile] || PROFILES.driving;
+  const response = await axios.post(`${BASE_URL}/v2/directions/${orsProfile}`, {
+    coordinates: [
+      [origin.lng, origin.lat],
+      [destination.lng, destination.lat]
+    ],
+    preference: 'recommended'
+  }, {
+    headers: {
+      Authorization: process.env.OPENROUTESERVICE_API_KEY,
+      'Content-Type': 'application/json'
+    },
+    timeout: getProviderTimeout('ors')
+  });
+
+  const meters = response.data.routes?.[0]?.summary?.distance;
+  return meters != null ? { distanceKm: meters / 1000 } : null;
+}
+
+module.exports = {
+  id: 'ors',
+  name: 'OpenRouteService',
+  isConfigured: () => Boolean(process.env.OPENROUTESERVICE_API_KEY),
+  geocode,
+  route
+};
@@ -0,0 +1,35 @@
+const axios = require('axios');
+const { getProviderTimeout } = require('./timeout');
+
+// OSRM profiles by route profile; a self-hosted server usually serves only the one it was built for
+const PROFILES = {
+  driving: 'driving',
+  cycling: 'cycling',
+  walking: 'foot'
+};
+
+/**
+ * Routes between two points with a self-hosted OSRM server (OSRM_URL)
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {string} profile - driving, cycling or walking
+ * @returns {Object|null} { distanceKm } or null when no route was found
+ */
+async function route(origin, destination, profile) {
+  const baseUrl = process.env.OSRM_URL.replace(/\/$/, '');
+  const coordinates = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
+  const response = await axios.get(`${baseUrl}/route/v1/${PROFILES[profile] || PROFILES.driving}/${coordinates}`, {
+    params: { overview: 'false' },
+    timeout: getProviderTimeout('osrm')
+  });
+
+  if (response.data.code !== 'Ok' || !response.data.routes?.length) return null;
+  return { distanceKm: response.data.routes[0].distance / 1000 };
+}
+
+module.exports = {
+  id: 'osrm',
+  name: 'OSRM',
+  isConfigured: () => Boolean(process.env.OSRM_URL),
+  route
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { haversineKm } = require('./haversine');
+
+// Centre of the stub's fake city (Bengaluru) and how far addresses are spread around it
+const DEFAULT_CENTER = { lat: 12.9716, lng: 77.5946 };
+const SPREAD_DEGREES = 0.1;
+const DEFAULT_CITY = 'Bengaluru';
+
+/**
+ * Geocodes an address to a fixed point derived from its text
+ * The same address always gets the same coordinates, so results are reproducible
+ * without network access. Every address is in the fake city.
+ * @param {string} address - Address string
+ * @returns {Object} { lat, lng, city }
+ */
+async function geocode(address) {
+  const digest = crypto.createHash('sha1').update(address.trim().toLowerCase()).digest();
+  const offset = byte => (digest[byte] / 255 - 0.5) * 2 * SPREAD_DEGREES;
+  return {
+    lat: parseFloat((DEFAULT_CENTER.lat + offset(0)).toFixed(6)),
+    lng: parseFloat((DEFAULT_CENTER.lng + offset(1)).toFixed(6)),
+    city: DEFAULT_CITY
+  };
+}
+
+/**
+ * Routes between two points as the straight-line distance
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @returns {Object} { distanceKm }
+ */
+async function route(origin, destination) {
+  return { distanceKm: haversineKm(origin, destination) };
+}
+
+module.exports = {
+  id: 'stub',
+  name: 'Local stub',
+  // Only used when listed in GEO_PROVIDERS
+  isConfigured: () => true,
+  isDefault: false,
+  geocode,
+  route
+};
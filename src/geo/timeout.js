@@ -0,0 +1,21 @@
+// Time to wait for a provider's API before moving on to the next provider
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Gets the request timeout of a geo provider
+ * GEO_TIMEOUT_MS applies to every provider; GEO_<ID>_TIMEOUT_MS (e.g. GEO_NOMINATIM_TIMEOUT_MS)
+ * overrides it for one provider.
+ * @param {string} providerId - Provider id, e.g. "nominatim" or "ors"
+ * @returns {number} Timeout in milliseconds
+ */
+function getProviderTimeout(providerId) {
+  const own = parseInt(process.env[`GEO_${providerId.toUpperCase()}_TIMEOUT_MS`]);
+  if (own > 0) return own;
+
+  const shared = parseInt(process.env.GEO_TIMEOUT_MS);
+  return shared > 0 ? shared : DEFAULT_TIMEOUT_MS;
+}
+
+module.exports = {
+  getProviderTimeout
+};
@@ -0,0 +1,10 @@
+// Must run after the auth middleware, which sets req.user
+const admin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    console.log('Admin access denied for user ID:', req.user?._id);
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = admin;
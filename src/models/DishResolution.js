@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// How a dish name resolves to ingredient grams. Entries are either cached
+// lookups (shared by everyone) or overrides set by a user or an admin.
+const dishResolutionSchema = new mongoose.Schema({
+  // Dish name as normalized by the recipe knowledge base, e.g. "murgh makhani"
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  // Grams of each ingredient per serving
+  ingredients: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  recipe: String,
+  source: {
+    type: String,
+    enum: ['spoonacular', 'override'],
+    required: true
+  },
+  isOverride: {
+    type: Boolean,
+    default: false
+  },
+  // Override scope: null user = applies to everyone (admin only)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Override scope: null restaurant = applies at every restaurant
+  restaurantName: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+dishResolutionSchema.index({ normalizedName: 1, isOverride: 1, user: 1, restaurantName: 1 }, { unique: true });
+
+const DishResolution = mongoose.model('DishResolution', dishResolutionSchema);
+
+module.exports = DishResolution;
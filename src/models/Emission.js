@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { TRANSPORT_MODES, DEFAULT_TRANSPORT } = require('../services/transportModes');
 
 const emissionSchema = new mongoose.Schema({
   user: {
@@ -30,8 +31,8 @@ const emissionSchema = new mongoose.Schema({
   factors: {
     transportMode: {
       type: String,
-      enum: ['bike', 'car', 'walking'],
-      default: 'bike'
+      enum: TRANSPORT_MODES,
+      default: DEFAULT_TRANSPORT
     },
     distance: {
       type: Number,
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A published set of emission factor tables. The highest version is active;
+// version 0 is the built-in tables in services/totalEmissions.js and is never stored.
+const emissionFactorDatasetSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Citations for the values, e.g. { name: 'DEFRA', url, covers: ['travel'] }
+  sources: [{
+    name: {
+      type: String,
+      required: true
+    },
+    url: String,
+    covers: [{
+      type: String,
+      enum: ['food', 'packaging', 'travel', 'recipes']
+    }],
+    _id: false
+  }],
+  // kg CO₂e per kg of ingredient
+  food: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // kg CO₂e per container, by material and size
+  packaging: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // kg CO₂e per km, by transport mode
+  travel: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Grams of each ingredient per serving, by dish name
+  recipes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const EmissionFactorDataset = mongoose.model('EmissionFactorDataset', emissionFactorDatasetSchema);
+
+module.exports = EmissionFactorDataset;
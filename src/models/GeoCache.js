@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Cached geocoding and routing results, so repeated addresses and
+// restaurant/customer pairs are not sent to the geo providers again
+const geoCacheSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['geocode', 'route'],
+    required: true
+  },
+  // Normalized address, or "lat,lng>lat,lng:profile" for a route
+  key: {
+    type: String,
+    required: true
+  },
+  // { lat, lng, city, provider } for a geocode, { distanceKm, provider } for a route
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  // TTL index - MongoDB removes the entry once this time has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+geoCacheSchema.index({ kind: 1, key: 1 }, { unique: true });
+
+const GeoCache = mongoose.model('GeoCache', geoCacheSchema);
+
+module.exports = GeoCache;
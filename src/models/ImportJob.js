@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const importJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Registry id of the extractor that normalized the payload (zomato, swiggy, canonical)
+  extractor: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Orders per ImportJobChunk; the canonical orders still to be persisted are
+  // kept in chunks so the job can resume after a restart
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  // Index of the next order to process
+  cursor: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  // Per-order outcome, including orders rejected during normalization
+  results: [{
+    _id: false,
+    orderId: String,
+    platform: String,
+    status: {
+      type: String,
+      enum: ['created', 'updated', 'unchanged', 'failed']
+    },
+    reason: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  }],
+  counts: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Completeness of a multi-page history (e.g. paginated Swiggy exports)
+  history: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ user: 1, createdAt: -1 });
+importJobSchema.index({ status: 1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Canonical orders of an import job still to be persisted, kept outside the
+// ImportJob document so large imports stay well under the document size limit
+const importJobChunkSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  // Position of the chunk; chunk n holds orders n * job.chunkSize onwards
+  index: {
+    type: Number,
+    required: true
+  },
+  orders: [mongoose.Schema.Types.Mixed]
+}, {
+  // Keep empty objects in the stored canonical orders so re-runs hash identically
+  minimize: false
+});
+
+importJobChunkSchema.index({ job: 1, index: 1 }, { unique: true });
+
+const ImportJobChunk = mongoose.model('ImportJobChunk', importJobChunkSchema);
+
+module.exports = ImportJobChunk;
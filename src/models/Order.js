@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { listPlatforms } = require('../extractors');
+const { DIET_CATEGORIES } = require('../services/dietClassifier');
+const { TRANSPORT_MODES } = require('../services/transportModes');
+const { TRIP_SHAPES } = require('../services/tripShapes');
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -9,7 +13,8 @@ const orderSchema = new mongoose.Schema({
   platform: {
     type: String,
     required: true,
-    enum: ['Swiggy', 'Zomato']
+    // Display names of the platforms registered in src/extractors, plus manually entered orders
+    enum: [...listPlatforms().map(platform => platform.name), 'Manual']
   },
   orderId: {
     type: String,
@@ -19,6 +24,14 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Shared restaurant record; the restaurant fields below are as the platform reported them
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    index: true
+  },
+  // The platform's own id for the restaurant
+  platformRestaurantId: String,
   orderDate: {
     type: Date,
     required: true
@@ -35,22 +48,68 @@ const orderSchema = new mongoose.Schema({
     name: String,
     quantity: Number,
     price: Number,
+    // Diet category, assigned by the diet classifier unless the user set it
     category: {
       type: String,
-      enum: ['veg', 'non-veg']
-    }
+      enum: DIET_CATEGORIES
+    },
+    categorySource: {
+      type: String,
+      enum: ['classifier', 'user']
+    },
+    // Veg flag reported by the platform (Swiggy's is_veg), when there is one
+    isVeg: Boolean,
+    // kg CO₂e for the whole line (all units), from the emission engine
+    emission: Number,
+    // Recipe the ingredients were resolved from, null when estimated
+    recipe: String,
+    // Where the ingredients came from: override, recipe_db, recipe_kb, spoonacular or heuristic
+    source: String,
+    // Portion parsed from the item name, e.g. "half", "250 ml", "8 pcs"; null for a standard serving
+    portion: String,
+    // Grams of each ingredient per unit, scaled to the portion and including add-ons
+    ingredients: mongoose.Schema.Types.Mixed
   }],
   emissionData: {
     transportEmission: Number,
     packagingEmission: Number,
     foodEmission: Number,
     totalEmission: Number,
+    // Emission factor dataset version the values were calculated with (0 = built-in)
+    factorVersion: Number,
     factors: {
-      transportMode: String,
+      transportMode: {
+        type: String,
+        enum: TRANSPORT_MODES
+      },
+      // Where the transport mode came from: set on the order, the user's delivery vehicle preferences, or the default
+      transportModeSource: {
+        type: String,
+        enum: ['order', 'preference', 'default']
+      },
       distance: Number,
+      // Trip shape the travel emission was charged under and the distance it gave
+      trip: {
+        shape: {
+          type: String,
+          enum: Object.keys(TRIP_SHAPES)
+        },
+        distance: Number,
+        pickupLegKm: Number,
+        batchSize: Number
+      },
       packagingType: String,
       foodCategories: [String]
-    }
+    },
+    // Low/high estimates (kg CO₂e) and the provenance of each component
+    ranges: {
+      food: { low: Number, high: Number, source: String },
+      packaging: { low: Number, high: Number, source: String },
+      travel: { low: Number, high: Number, source: String },
+      total: { low: Number, high: Number }
+    },
+    // 0-1, how much to trust the totals given where their inputs came from
+    confidence: Number
   },
   createdAt: {
     type: Date,
@@ -58,6 +117,7 @@ const orderSchema = new mongoose.Schema({
   },
   // Additional fields for Zomato orders
   deliveryAddress: String,
+  restaurantAddress: String,
   restaurantRating: {
     aggregateRating: String,
     ratingText: String,
@@ -84,14 +144,37 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: Number,
   dishString: String,
+  // Fingerprint of the imported source order, used to detect unchanged re-imports
+  sourceHash: String,
+  // Audit trail of user edits, oldest first
+  revisions: [{
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changes: [{
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+      _id: false
+    }],
+    previousTotalEmission: Number,
+    totalEmission: Number
+  }],
   hashId: String,
   reOrderUrl: String
 }, {
   timestamps: true
 });
 
-// Create a compound index to ensure uniqueness of user and orderId combination
-orderSchema.index({ user: 1, orderId: 1 }, { unique: true });
+// Create a compound index to ensure uniqueness of user, platform and orderId combination
+orderSchema.index({ user: 1, platform: 1, orderId: 1 }, { unique: true });
+// Date range queries, e.g. emission trends
+orderSchema.index({ user: 1, orderDate: 1 });
 
 const Order = mongoose.model('Order', orderSchema);
 
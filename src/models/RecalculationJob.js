@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const recalculationJobSchema = new mongoose.Schema({
+  // Admin who started the job, or the user whose preference change triggered it
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Only this user's orders; all users' orders when unset
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Report the deltas without saving them
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Orders are processed in _id order; the last one done, so the job can resume after a restart
+  lastOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  counts: {
+    changed: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Sum of every order's change in total emission, kg CO₂e
+  totalDelta: {
+    type: Number,
+    default: 0
+  },
+  // The orders whose total emission changed the most, largest first
+  largestDeltas: [{
+    _id: false,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderId: String,
+    platform: String,
+    previousTotalEmission: Number,
+    totalEmission: Number,
+    delta: Number,
+    magnitude: Number
+  }],
+  // The first orders that could not be recalculated
+  failures: [{
+    _id: false,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderId: String,
+    platform: String,
+    reason: String
+  }],
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+recalculationJobSchema.index({ createdAt: -1 });
+recalculationJobSchema.index({ status: 1 });
+
+const RecalculationJob = mongoose.model('RecalculationJob', recalculationJobSchema);
+
+module.exports = RecalculationJob;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A restaurant shared by every order placed with it, on any platform and by
+// any user; deduplicated by normalized name and location
+const restaurantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased name without punctuation, e.g. "meghana foods"
+  normalizedName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Listings of the restaurant on each delivery platform
+  platforms: [{
+    platform: String,
+    // The platform's own id for the restaurant
+    restaurantId: String,
+    url: String,
+    image: String,
+    phone: String,
+    rating: String,
+    _id: false
+  }],
+  // "platform:restaurantId" of each listing with the platform's id, kept in
+  // step with platforms; unset when there is none
+  platformKeys: {
+    type: [String],
+    default: undefined
+  },
+  address: String,
+  // Canonical coordinates, so orders from the restaurant do not need geocoding again
+  location: {
+    lat: Number,
+    lng: Number
+  },
+  locality: {
+    cityId: Number,
+    localityName: String
+  },
+  city: String,
+  // Reported by the platform or inferred from the dishes ordered
+  cuisines: [String],
+  establishment: [String]
+}, {
+  timestamps: true
+});
+
+restaurantSchema.index({ 'locality.cityId': 1 });
+// One restaurant per platform listing, even when imports create it at the same time
+restaurantSchema.index({ platformKeys: 1 }, {
+  unique: true,
+  partialFilterExpression: { platformKeys: { $exists: true } }
+});
+
+const Restaurant = mongoose.model('Restaurant', restaurantSchema);
+
+module.exports = Restaurant;
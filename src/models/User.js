@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { TRANSPORT_MODES } = require('../services/transportModes');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,6 +19,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   platformCredentials: {
     zomato: {
       phoneNumber: String,
@@ -51,7 +57,19 @@ const userSchema = new mongoose.Schema({
     emissionAlerts: {
       type: Boolean,
       default: true
-    }
+    },
+    // Vehicle the user's deliveries usually arrive by; the most specific matching entry applies
+    // (platform and city, city, platform, then an entry with neither)
+    deliveryVehicles: [{
+      platform: String,
+      city: String,
+      transportMode: {
+        type: String,
+        enum: TRANSPORT_MODES,
+        required: true
+      },
+      _id: false
+    }]
   }
 }, {
   timestamps: true
@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const RecalculationJob = require('../models/RecalculationJob');
+const { createRecalculationJob, formatRecalculationJob } = require('../services/recalculationJobs');
+const { refreshFactorDataset } = require('../services/totalEmissions');
+const {
+  getFactorDataset,
+  getPreviousFactorDataset,
+  listFactorDatasets,
+  publishFactorDataset,
+  diffFactorDatasets,
+  DUPLICATE_KEY
+} = require('../services/factorDatasets');
+const { getGeoCacheStats, clearGeoCache } = require('../services/geoCache');
+const { getActiveGeoProviders } = require('../geo');
+const { TRANSPORT_MODES } = require('../services/transportModes');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/admin/recalculate
+ * @desc    Start a background recalculation of stored order emissions with the current factors
+ * @access  Admin
+ */
+router.post('/recalculate', auth, admin, [
+  body('userId').optional().isMongoId().withMessage('userId must be a valid id'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await createRecalculationJob({
+      userId: req.body.userId,
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      requestedBy: req.user._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Recalculation of ${job.total} orders started`,
+      jobId: job._id,
+      statusUrl: `/api/admin/recalculations/${job._id}`
+    });
+  } catch (error) {
+    console.error('Error recalculating emissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recalculating emissions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/recalculations/:jobId
+ * @desc    Get progress, counts and the largest deltas of a recalculation job
+ * @access  Admin
+ */
+router.get('/recalculations/:jobId', auth, admin, [
+  param('jobId').isMongoId().withMessage('Invalid job id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await RecalculationJob.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Recalculation job not found' });
+    }
+
+    res.json({ success: true, job: formatRecalculationJob(job) });
+  } catch (error) {
+    console.error('Error fetching recalculation job:', error);
+    res.status(500).json({ success: false, message: 'Error fetching recalculation job' });
+  }
+});
+
+/**
+ * Check that a factor table maps names to non-negative numbers
+ * Packaging and recipe tables nest one level deeper (material -> size, dish -> ingredient)
+ * @param {Object} table - Factor table from the request body
+ * @param {number} depth - Levels of nesting above the numbers
+ * @return {boolean} - True when valid
+ */
+const isFactorTable = (table, depth) => {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) return false;
+  return Object.values(table).every(value => depth > 0
+    ? isFactorTable(value, depth - 1)
+    : typeof value === 'number' && value >= 0);
+};
+
+const factorDatasetValidation = [
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('sources').isArray({ min: 1 }).withMessage('At least one source is required'),
+  body('sources.*.name').isString().trim().notEmpty().withMessage('Source name is required'),
+  body('sources.*.url').optional().isURL().withMessage('Source url must be a URL'),
+  body('sources.*.covers').optional().isArray().withMessage('Source covers must be an array'),
+  body('sources.*.covers.*').isIn(['food', 'packaging', 'travel', 'recipes']).withMessage('Invalid covered table'),
+  body('food').optional().custom(value => isFactorTable(value, 0))
+    .withMessage('food must map ingredients to kg CO₂e per kg'),
+  body('packaging').optional().custom(value => isFactorTable(value, 1))
+    .withMessage('packaging must map materials to sizes to kg CO₂e per container'),
+  body('travel').optional().custom(value => isFactorTable(value, 0))
+    .withMessage('travel must map transport modes to kg CO₂e per km'),
+  body('travel').optional().custom(value => Object.keys(value || {}).every(mode => TRANSPORT_MODES.includes(mode)))
+    .withMessage(`travel transport modes must be among: ${TRANSPORT_MODES.join(', ')}`),
+  body('recipes').optional().custom(value => isFactorTable(value, 1))
+    .withMessage('recipes must map dishes to ingredients to grams per serving')
+];
+
+/**
+ * @route   GET /api/admin/factors
+ * @desc    List emission factor dataset versions
+ * @access  Admin
+ */
+router.get('/factors', auth, admin, async (req, res) => {
+  try {
+    const datasets = await listFactorDatasets();
+    res.json({
+      activeVersion: await refreshFactorDataset(),
+      datasets
+    });
+  } catch (error) {
+    console.error('Error listing factor datasets:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/factors
+ * @desc    Publish a new emission factor dataset version; tables are merged over the latest version
+ * @access  Admin
+ */
+router.post('/factors', auth, admin, factorDatasetValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dataset = await publishFactorDataset(req.body, req.user._id);
+    const previous = await getPreviousFactorDataset(dataset.version);
+
+    res.status(201).json({
+      success: true,
+      message: `Published emission factor dataset version ${dataset.version}`,
+      dataset,
+      diff: diffFactorDatasets(previous, dataset.toObject())
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      return res.status(409).json({
+        success: false,
+        message: 'Other factor datasets are being published at the same time, try again'
+      });
+    }
+    console.error('Error publishing factor dataset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing factor dataset',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/factors/:version
+ * @desc    Get an emission factor dataset, including its tables
+ * @access  Admin
+ */
+router.get('/factors/:version', auth, admin, param('version').isInt({ min: 0 }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dataset = await getFactorDataset(parseInt(req.params.version));
+    if (!dataset) {
+      return res.status(404).json({ message: 'Factor dataset not found' });
+    }
+
+    res.json(dataset);
+  } catch (error) {
+    console.error('Error fetching factor dataset:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/factors/:version/diff
+ * @desc    Compare a dataset with the version before it
+ * @access  Admin
+ */
+router.get('/factors/:version/diff', auth, admin, param('version').isInt({ min: 1 }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const version = parseInt(req.params.version);
+    const dataset = await getFactorDataset(version);
+    if (!dataset) {
+      return res.status(404).json({ message: 'Factor dataset not found' });
+    }
+
+    const previous = await getPreviousFactorDataset(version);
+    res.json(diffFactorDatasets(previous, dataset));
+  } catch (error) {
+    console.error('Error comparing factor datasets:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/geo-cache
+ * @desc    Get geocode and route cache sizes, hit/miss counts and TTLs, and the active geo providers
+ * @access  Admin
+ */
+router.get('/geo-cache', auth, admin, async (req, res) => {
+  try {
+    const stats = await getGeoCacheStats();
+    res.json({
+      ...stats,
+      providers: {
+        geocode: getActiveGeoProviders('geocode').map(provider => provider.id),
+        route: getActiveGeoProviders('route').map(provider => provider.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching geo cache stats:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/geo-cache
+ * @desc    Clear cached geocodes and routes, e.g. after changing geo providers
+ * @access  Admin
+ */
+router.delete('/geo-cache', auth, admin, query('kind').optional().isIn(['geocode', 'route']), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const removed = await clearGeoCache(req.query.kind);
+    res.json({
+      success: true,
+      message: `Removed ${removed} cached ${req.query.kind || 'geo'} entries`,
+      removed
+    });
+  } catch (error) {
+    console.error('Error clearing geo cache:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
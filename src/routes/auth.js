@@ -4,6 +4,9 @@ const User = require('../models/User');
 const auth = require('../middleware/auth');
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
+const { listPlatforms } = require('../extractors');
+const { normalizePlatform } = require('../services/deliveryVehicles');
+const { TRANSPORT_MODES, normalizeTransportMode } = require('../services/transportModes');
 
 const router = express.Router();
 
@@ -27,10 +30,23 @@ const updateProfileValidation = [
 ];
 
 const updateCredentialsValidation = [
-  body('platform').isIn(['zomato', 'swiggy']).withMessage('Invalid platform'),
+  body('platform').isIn(listPlatforms().map(platform => platform.id)).withMessage('Invalid platform'),
   body('credentials').isObject().withMessage('Credentials must be an object'),
 ];
 
+const deliveryVehiclesValidation = [
+  body('deliveryVehicles').isArray().withMessage('Delivery vehicles must be an array'),
+  body('deliveryVehicles.*.platform')
+    .optional({ values: 'falsy' })
+    .custom(value => normalizePlatform(value) !== null)
+    .withMessage('Invalid platform'),
+  body('deliveryVehicles.*.city').optional({ values: 'falsy' }).isString().trim().notEmpty().withMessage('City must be a string'),
+  body('deliveryVehicles.*.transportMode')
+    .customSanitizer(value => normalizeTransportMode(value) || value)
+    .isIn(TRANSPORT_MODES)
+    .withMessage(`Transport mode must be one of: ${TRANSPORT_MODES.join(', ')}`),
+];
+
 // Register
 router.post('/register', registerValidation, authController.register);
 
@@ -43,5 +59,7 @@ router.get('/me', auth, authController.getCurrentUser);
 // Routes
 router.put('/profile', auth, updateProfileValidation, authController.updateProfile);
 router.put('/credentials', auth, updateCredentialsValidation, authController.updatePlatformCredentials);
+router.get('/preferences/delivery-vehicles', auth, authController.getDeliveryVehicles);
+router.put('/preferences/delivery-vehicles', auth, deliveryVehiclesValidation, authController.updateDeliveryVehicles);
 
 module.exports = router; 
\ No newline at end of file
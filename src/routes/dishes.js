@@ -0,0 +1,101 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { listOverrides, saveOverride, deleteOverride } = require('../services/dishResolutions');
+
+const router = express.Router();
+
+const dishOverrideValidation = [
+  body('dishName').isString().trim().notEmpty().withMessage('Dish name is required'),
+  body('restaurantName').optional({ values: 'null' }).isString().trim().withMessage('Restaurant name must be a string'),
+  body('recipe').optional().isString().trim(),
+  body('ingredients').custom(value => value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.values(value).every(grams => typeof grams === 'number' && grams >= 0))
+    .withMessage('ingredients must map ingredient names to grams per serving'),
+  body('global').optional().isBoolean().withMessage('global must be a boolean')
+];
+
+/**
+ * @route   GET /api/dishes/overrides
+ * @desc    List the user's dish overrides and the global ones set by admins
+ * @access  Private
+ */
+router.get('/overrides', auth, async (req, res) => {
+  try {
+    const overrides = await listOverrides(req.user._id);
+    res.json({
+      success: true,
+      overrides: overrides.map(override => ({ ...override, global: !override.user }))
+    });
+  } catch (error) {
+    console.error('Error listing dish overrides:', error);
+    res.status(500).json({ message: 'Error listing dish overrides' });
+  }
+});
+
+/**
+ * @route   PUT /api/dishes/overrides
+ * @desc    Set how a dish resolves to ingredients, optionally only at one restaurant.
+ *          Admins may set `global: true` to apply the override to every user.
+ * @access  Private
+ */
+router.put('/overrides', auth, dishOverrideValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const global = req.body.global === true || req.body.global === 'true';
+    if (global && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    const override = await saveOverride(req.body, {
+      userId: global ? null : req.user._id,
+      createdBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Dish override saved. It applies to new and edited orders, and to existing ones when they are recalculated',
+      override
+    });
+  } catch (error) {
+    console.error('Error saving dish override:', error);
+    res.status(500).json({ message: 'Error saving dish override' });
+  }
+});
+
+/**
+ * @route   DELETE /api/dishes/overrides/:id
+ * @desc    Delete one of the user's dish overrides, or a global one for admins
+ * @access  Private
+ */
+router.delete('/overrides/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid override id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let deleted = await deleteOverride(req.params.id, { userId: req.user._id });
+    if (!deleted && req.user.role === 'admin') {
+      deleted = await deleteOverride(req.params.id, { userId: null });
+    }
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Dish override not found' });
+    }
+
+    res.json({ success: true, message: 'Dish override deleted' });
+  } catch (error) {
+    console.error('Error deleting dish override:', error);
+    res.status(500).json({ message: 'Error deleting dish override' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,20 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const auth = require('../middleware/auth');
 const AIService = require('../services/aiService');
+const { DIET_CATEGORIES, isVegetarian } = require('../services/dietClassifier');
+const { TRAVEL_EMISSIONS, ESTIMATE_UNCERTAINTY, getFactorVersion, refreshFactorDataset } = require('../services/totalEmissions');
+const { DEFAULT_TRANSPORT } = require('../services/transportModes');
+const { TRIP_SHAPES, getTripModel } = require('../services/tripShapes');
+const { getRestaurantLeaderboard } = require('../services/restaurants');
+const { TREND_GRANULARITIES, isValidTimeZone, normalizeTrendOptions, getOrderEmissionTrends } = require('../services/emissionTrends');
 
 const router = express.Router();
 
+// Orders scoring below this are flagged as rough estimates
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
 // Get total carbon footprint and breakdown
 router.get('/summary', auth, async (req, res) => {
   try {
@@ -16,22 +26,51 @@ router.get('/summary', auth, async (req, res) => {
       packagingEmission: 0,
       foodEmission: 0,
       orderCount: orders.length,
-      averageEmissionPerOrder: 0
+      averageEmissionPerOrder: 0,
+      // Sum of each order's low/high estimate
+      emissionRange: { low: 0, high: 0 },
+      averageConfidence: null,
+      lowConfidenceOrderCount: 0,
+      // Items and food emissions by diet category
+      diet: Object.fromEntries([...DIET_CATEGORIES, 'unknown'].map(category => [category, { itemCount: 0, foodEmission: 0 }]))
     };
 
+    const confidences = [];
     orders.forEach(order => {
       if (order.emissionData) {
         summary.totalEmission += order.emissionData.totalEmission || 0;
         summary.transportEmission += order.emissionData.transportEmission || 0;
         summary.packagingEmission += order.emissionData.packagingEmission || 0;
         summary.foodEmission += order.emissionData.foodEmission || 0;
+
+        // Orders stored before ranges were recorded count as exact
+        const range = order.emissionData.ranges?.total;
+        summary.emissionRange.low += range?.low ?? (order.emissionData.totalEmission || 0);
+        summary.emissionRange.high += range?.high ?? (order.emissionData.totalEmission || 0);
+
+        if (typeof order.emissionData.confidence === 'number') {
+          confidences.push(order.emissionData.confidence);
+          if (order.emissionData.confidence < LOW_CONFIDENCE_THRESHOLD) {
+            summary.lowConfidenceOrderCount += 1;
+          }
+        }
       }
+
+      (order.items || []).forEach(item => {
+        const diet = summary.diet[item.category] || summary.diet.unknown;
+        diet.itemCount += item.quantity || 1;
+        diet.foodEmission += item.emission || 0;
+      });
     });
 
     if (orders.length > 0) {
       summary.averageEmissionPerOrder = summary.totalEmission / orders.length;
     }
 
+    if (confidences.length > 0) {
+      summary.averageConfidence = confidences.reduce((sum, value) => sum + value, 0) / confidences.length;
+    }
+
     // Calculate percentages
     if (summary.totalEmission > 0) {
       summary.transportPercentage = (summary.transportEmission / summary.totalEmission) * 100;
@@ -49,19 +88,33 @@ router.get('/summary', auth, async (req, res) => {
   }
 });
 
-// Get emission trends over time
-router.get('/trends', auth, async (req, res) => {
+// Get emission trends over time, bucketed by day, week, month or year
+router.get('/trends', auth, [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('to').optional().custom((value, { req }) => {
+    // Compare them as read in tz
+    const { from, to } = normalizeTrendOptions({ from: req.query.from, to: value, timezone: req.query.tz });
+    return !from || to > from;
+  }).withMessage('to must be after from'),
+  query('granularity').optional().isIn(TREND_GRANULARITIES)
+    .withMessage(`granularity must be one of: ${TREND_GRANULARITIES.join(', ')}`),
+  query('tz').optional().custom(isValidTimeZone).withMessage('tz must be an IANA timezone, e.g. Asia/Kolkata'),
+  query('window').optional().isInt({ min: 1, max: 52 }).withMessage('window must be between 1 and 52')
+], async (req, res) => {
   try {
-    const orders = await Order.find({ user: req.user._id })
-      .sort({ orderDate: 1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const trends = orders.map(order => ({
-      date: order.orderDate,
-      totalEmission: order.emissionData?.totalEmission || 0,
-      transportEmission: order.emissionData?.transportEmission || 0,
-      packagingEmission: order.emissionData?.packagingEmission || 0,
-      foodEmission: order.emissionData?.foodEmission || 0
-    }));
+    const trends = await getOrderEmissionTrends(req.user._id, {
+      from: req.query.from,
+      to: req.query.to,
+      granularity: req.query.granularity,
+      timezone: req.query.tz,
+      window: req.query.window
+    });
 
     res.json(trends);
   } catch (error) {
@@ -128,13 +181,7 @@ router.get('/suggestions', auth, async (req, res) => {
         console.log('Invalid items data for order:', order._id);
         return false;
       }
-      return order.items.every(item => 
-        item && item.name && (
-          item.name.toLowerCase().includes('veg') || 
-          item.name.toLowerCase().includes('rice') || 
-          item.name.toLowerCase().includes('dal')
-        )
-      );
+      return order.items.length > 0 && order.items.every(item => item && isVegetarian(item.category));
     });
     
     const vegPercentage = (vegOrders.length / orders.length) * 100;
@@ -145,6 +192,17 @@ router.get('/suggestions', auth, async (req, res) => {
         message: 'Consider ordering more vegetarian meals to reduce your carbon footprint',
         potentialSavings: 'Up to 2.5 kg CO2 per meal'
       });
+    } else {
+      // Mostly vegetarian already: dairy-heavy dishes are the next biggest food source
+      const items = orders.flatMap(order => order.items || []);
+      const dairyItems = items.filter(item => item.category === 'veg');
+      if (dairyItems.length > items.length / 2) {
+        suggestions.push({
+          type: 'food',
+          message: 'Try swapping some paneer, cream and butter dishes for vegan ones like dal, chana or vegetable curries',
+          potentialSavings: 'Up to 1 kg CO2 per meal'
+        });
+      }
     }
 
     // Analyze distance
@@ -183,6 +241,23 @@ router.get('/suggestions', auth, async (req, res) => {
       });
     }
 
+    // Name a lower-carbon restaurant in place of the most ordered one that has an alternative
+    console.log('Looking for lower-carbon restaurants...');
+    const leaderboard = await getRestaurantLeaderboard(req.user._id);
+    const switchable = leaderboard
+      .filter(entry => entry.alternatives.length > 0)
+      .sort((a, b) => b.orderCount - a.orderCount)[0];
+    if (switchable) {
+      const alternative = switchable.alternatives[0];
+      suggestions.push({
+        type: 'restaurant',
+        message: `Try ${alternative.name} instead of ${switchable.restaurant.name} for ${alternative.sharedCuisines.join(', ')} food`,
+        potentialSavings: `About ${alternative.savingPerOrder.toFixed(2)} kg CO2 per order`,
+        restaurantId: switchable.restaurant.id,
+        alternativeId: alternative.id
+      });
+    }
+
     // If no specific suggestions were generated, provide a general one
     if (suggestions.length === 0) {
       console.log('No specific suggestions generated, providing general suggestion');
@@ -248,4 +323,71 @@ router.get('/ai-recommendations', auth, async (req, res) => {
   }
 });
 
+// Rank the restaurants the user orders from by footprint, with lower-carbon alternatives nearby
+router.get('/restaurants', auth, [
+  query('sort').optional().isIn(['order', 'meal']).withMessage('sort must be order or meal'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sort = req.query.sort || 'order';
+    const restaurants = await getRestaurantLeaderboard(req.user._id, {
+      sort,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({ sort, restaurants });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Describe how emissions are calculated, and which methods the user's stored orders were calculated with
+router.get('/methodology', auth, async (req, res) => {
+  try {
+    await refreshFactorDataset();
+    const orders = await Order.find({ user: req.user._id })
+      .select('emissionData.factorVersion emissionData.factors.transportModeSource emissionData.factors.trip')
+      .lean();
+
+    // Orders stored before trip shapes were recorded were charged one way
+    const count = (counts, key) => ({ ...counts, [key]: (counts[key] || 0) + 1 });
+    const orderMethods = orders.reduce((methods, order) => {
+      const emissionData = order.emissionData || {};
+      return {
+        tripShapes: count(methods.tripShapes, emissionData.factors?.trip?.shape || 'one-way'),
+        factorVersions: count(methods.factorVersions, emissionData.factorVersion ?? 0),
+        transportModeSources: count(methods.transportModeSources, emissionData.factors?.transportModeSource || 'default')
+      };
+    }, { tripShapes: {}, factorVersions: {}, transportModeSources: {} });
+
+    const tripModel = getTripModel();
+    res.json({
+      factorVersion: getFactorVersion(),
+      trip: {
+        ...tripModel,
+        ...TRIP_SHAPES[tripModel.shape],
+        shapes: TRIP_SHAPES
+      },
+      transport: {
+        defaultMode: DEFAULT_TRANSPORT,
+        // kg CO₂e per km
+        factors: TRAVEL_EMISSIONS
+      },
+      // ± share of each estimate, by provenance tag
+      uncertainty: ESTIMATE_UNCERTAINTY,
+      orders: {
+        count: orders.length,
+        ...orderMethods
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
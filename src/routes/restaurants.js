@@ -0,0 +1,35 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { getRestaurantProfile } = require('../services/restaurants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/restaurants/:id
+ * @desc    Get a restaurant's location, the dishes ordered there and its
+ *          average emissions per order and per rupee across all users
+ * @access  Private
+ */
+router.get('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid restaurant id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await getRestaurantProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    res.json({ success: true, ...profile });
+  } catch (error) {
+    console.error('Error fetching restaurant:', error);
+    res.status(500).json({ message: 'Error fetching restaurant' });
+  }
+});
+
+module.exports = router;
@@ -9,7 +9,7 @@ require('dotenv').config();
 const app = express();
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Pasted order histories can be large
 app.use(cors());
 app.use(helmet());
 app.use(morgan('dev'));
@@ -22,8 +22,20 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Database connection
+const { resumePendingImportJobs } = require('./services/importJobs');
+const { resumePendingRecalculationJobs } = require('./services/recalculationJobs');
+const { loadFactorDataset } = require('./services/totalEmissions');
+const { runMigrations } = require('./services/migrations');
+const { checkTrendSupport } = require('./services/emissionTrends');
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    await runMigrations();
+    await checkTrendSupport();
+    await loadFactorDataset();
+    await resumePendingImportJobs();
+    return resumePendingRecalculationJobs();
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -32,6 +44,9 @@ const orderRoutes = require('./routes/orders');
 app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/insights', require('./routes/insights'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/dishes', require('./routes/dishes'));
+app.use('/api/restaurants', require('./routes/restaurants'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -1,11 +1,20 @@
 const OpenAI = require('openai');
 const Recommendation = require('../models/Recommendation');
+const { isVegetarian } = require('./dietClassifier');
 
 // Initialize OpenAI with API key from environment variables
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
+// Emission impact of an item by diet category, used when the AI call fails
+const DIET_EMISSION_IMPACT = {
+  'non-veg': 'high',
+  egg: 'medium',
+  veg: 'low',
+  vegan: 'low'
+};
+
 // In-memory cache for even faster access
 // This complements the database cache
 const memoryCache = {
@@ -61,6 +70,12 @@ const memoryCache = {
     return cached.recommendations;
   },
   
+  // Drop cached recommendations for an order and its owner's overall recommendations
+  invalidateOrder(orderId, userId) {
+    this.orderRecommendations.delete(orderId);
+    this.userOverallRecommendations.delete(userId);
+  },
+  
   // Clean expired cache entries (can be called periodically)
   cleanExpiredEntries() {
     const now = Date.now();
@@ -79,8 +94,8 @@ const memoryCache = {
   }
 };
 
-// Clean memory cache every 15 minutes
-setInterval(() => memoryCache.cleanExpiredEntries(), 15 * 60 * 1000);
+// Clean memory cache every 15 minutes; unref'd so scripts and tests can exit
+setInterval(() => memoryCache.cleanExpiredEntries(), 15 * 60 * 1000).unref();
 
 class AIService {
   /**
@@ -183,6 +198,24 @@ class AIService {
     }
   }
   
+  /**
+   * Discard cached recommendations after an order's emissions change
+   * The user's overall recommendations are dropped too, as they summarize every order
+   * @param {Object} order - The order object
+   * @returns {Promise<void>}
+   */
+  static async invalidateOrderRecommendations(order) {
+    const orderId = order._id.toString();
+    const userId = order.user.toString();
+    
+    memoryCache.invalidateOrder(orderId, userId);
+    await Recommendation.deleteMany({
+      user: userId,
+      recommendationId: { $in: [orderId, `overall_${userId}`] }
+    });
+    console.log(`Invalidated cached recommendations for order ${orderId}`);
+  }
+  
   /**
    * Get AI-powered overall recommendations based on user's order history
    * @param {string} userId - User ID
@@ -307,12 +340,16 @@ class AIService {
    * @returns {Object} - Formatted orders summary
    */
   static prepareOrdersSummaryForAI(orders) {
-    // Calculate percentage of vegetarian orders
+    // Calculate percentage of vegetarian and vegan orders
     const vegOrderCount = orders.filter(order => 
-      order.items && order.items.every(item => item.category === 'veg')
+      order.items?.length > 0 && order.items.every(item => isVegetarian(item.category))
+    ).length;
+    const veganOrderCount = orders.filter(order => 
+      order.items?.length > 0 && order.items.every(item => item.category === 'vegan')
     ).length;
     
     const vegPercentage = orders.length > 0 ? (vegOrderCount / orders.length) * 100 : 0;
+    const veganPercentage = orders.length > 0 ? (veganOrderCount / orders.length) * 100 : 0;
     
     // Calculate average distance
     const avgDistance = orders.length > 0 ? 
@@ -340,6 +377,7 @@ class AIService {
     return {
       totalOrders: orders.length,
       vegetarianPercentage: vegPercentage,
+      veganPercentage,
       averageDistance: avgDistance,
       averageItemsPerOrder: avgItems,
       foodTypes,
@@ -374,7 +412,7 @@ class AIService {
       order.items.forEach(item => {
         const itemRec = {
           itemName: item.name,
-          emissionImpact: item.category === 'non-veg' ? 'high' : item.category === 'veg' ? 'low' : 'medium',
+          emissionImpact: DIET_EMISSION_IMPACT[item.category] || 'medium',
           alternatives: [],
           tips: []
         };
@@ -382,8 +420,14 @@ class AIService {
         if (item.category === 'non-veg') {
           itemRec.alternatives = ['Plant-based alternative', 'Vegetarian option'];
           itemRec.tips = ['Non-vegetarian items typically have a higher carbon footprint'];
+        } else if (item.category === 'egg') {
+          itemRec.alternatives = ['Vegetarian option'];
+          itemRec.tips = ['Eggs have a lower footprint than meat, but higher than most plant-based dishes'];
         } else if (item.category === 'veg') {
+          itemRec.alternatives = ['Vegan option without dairy'];
           itemRec.tips = ['Great choice! Vegetarian items have a lower carbon footprint'];
+        } else if (item.category === 'vegan') {
+          itemRec.tips = ['Great choice! Plant-based items have the lowest carbon footprint'];
         }
         
         recommendations.items.push(itemRec);
@@ -0,0 +1,153 @@
+// Delivery Vehicles
+// ----------------------------------------------------------------------
+// Works out which vehicle delivered an order: the mode set on the order
+// itself, otherwise the user's default delivery vehicle for the order's
+// platform and/or city, otherwise the engine default (a motorcycle).
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getExtractor } = require('../extractors');
+const { DEFAULT_TRANSPORT, normalizeTransportMode } = require('./transportModes');
+const { geocodeAddress } = require('../geo');
+
+// Former names of cities, as platforms and geocoders use either
+const CITY_ALIASES = {
+  bangalore: 'bengaluru',
+  bombay: 'mumbai',
+  madras: 'chennai',
+  calcutta: 'kolkata',
+  gurgaon: 'gurugram',
+  mysore: 'mysuru',
+  poona: 'pune'
+};
+
+/**
+ * Map a platform id or display name to the name stored on orders
+ * @param {string} platform - e.g. "swiggy", "Swiggy" or "manual"
+ * @return {string|null} - Display name, null when the platform is unknown
+ */
+function normalizePlatform(platform) {
+  if (String(platform || '').trim().toLowerCase() === 'manual') return 'Manual';
+  const extractor = getExtractor(String(platform || '').trim());
+  return extractor && extractor.isPlatform ? extractor.name : null;
+}
+
+/**
+ * Normalize a city name for comparison
+ * @param {string} city - e.g. "Bangalore" or "Bengaluru "
+ * @return {string} - Lowercased current name, e.g. "bengaluru"
+ */
+function normalizeCity(city) {
+  const name = String(city || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+  return CITY_ALIASES[name] || name;
+}
+
+/**
+ * How specific a delivery vehicle entry is; higher wins
+ * @param {Object} entry - { platform?, city? }
+ * @return {number}
+ */
+function entrySpecificity(entry) {
+  return (entry.city ? 2 : 0) + (entry.platform ? 1 : 0);
+}
+
+/**
+ * Find the delivery vehicle entry that applies to an order
+ * Entries with a city only apply when the order's city is known and the same.
+ * @param {Array} entries - User's deliveryVehicles preferences
+ * @param {Object} order - { platform, city? }
+ * @return {Object|null} - Most specific matching entry
+ */
+function matchDeliveryVehicle(entries, order) {
+  const city = normalizeCity(order.city);
+
+  const matches = (entries || []).filter(entry => {
+    if (entry.platform && entry.platform !== order.platform) return false;
+    if (entry.city && (!city || normalizeCity(entry.city) !== city)) return false;
+    return true;
+  });
+
+  return matches.reduce((best, entry) => !best || entrySpecificity(entry) > entrySpecificity(best) ? entry : best, null);
+}
+
+/**
+ * Get a user's delivery vehicle preferences
+ * @param {string} userId - User ID
+ * @return {Promise<Array>} - [{ platform?, city?, transportMode }]
+ */
+async function getDeliveryVehicles(userId) {
+  if (!userId || mongoose.connection.readyState !== 1) return [];
+  const user = await User.findById(userId).select('preferences.deliveryVehicles').lean();
+  return user?.preferences?.deliveryVehicles || [];
+}
+
+/**
+ * Replace a user's delivery vehicle preferences
+ * Entries for the same platform and city are collapsed, the last one wins.
+ * @param {string} userId - User ID
+ * @param {Array} entries - Validated [{ platform?, city?, transportMode }]
+ * @return {Promise<Array>} - Stored entries
+ */
+async function setDeliveryVehicles(userId, entries) {
+  const byScope = new Map();
+  for (const entry of entries) {
+    const platform = entry.platform ? normalizePlatform(entry.platform) : null;
+    const city = entry.city ? entry.city.trim() : null;
+    byScope.set(`${platform}|${(city || '').toLowerCase()}`, {
+      ...(platform && { platform }),
+      ...(city && { city }),
+      transportMode: normalizeTransportMode(entry.transportMode)
+    });
+  }
+
+  const deliveryVehicles = [...byScope.values()];
+  await User.updateOne({ _id: userId }, { $set: { 'preferences.deliveryVehicles': deliveryVehicles } });
+  console.log(`[DEBUG] Saved ${deliveryVehicles.length} delivery vehicle preferences for user ${userId}`);
+  return deliveryVehicles;
+}
+
+/**
+ * Work out the city an order was delivered in
+ * The geocoded delivery address decides; the platform's restaurant city is
+ * used when the address cannot be geocoded.
+ * @param {Object} order - Canonical order { deliveryAddress?, restaurantCity? }
+ * @return {Promise<string|null>} - City name, null when unknown
+ */
+async function resolveOrderCity(order) {
+  const geocoded = await geocodeAddress(order.deliveryAddress);
+  return geocoded?.city || order.restaurantCity || null;
+}
+
+/**
+ * Work out the transport mode of an order
+ * @param {Object} order - Canonical order { transportMode?, platform, deliveryAddress?, restaurantCity? }
+ * @param {string} [userId] - Owner of the order, whose preferences apply
+ * @return {Promise<Object>} - { transportMode, source: "order", "preference" or "default" }
+ */
+async function resolveTransportMode(order, userId) {
+  const orderMode = normalizeTransportMode(order.transportMode);
+  if (orderMode) {
+    return { transportMode: orderMode, source: 'order' };
+  }
+
+  const entries = await getDeliveryVehicles(userId);
+  // Only geocode for preferences that depend on the city
+  const city = entries.some(entry => entry.city) ? await resolveOrderCity(order) : null;
+
+  const entry = matchDeliveryVehicle(entries, { platform: order.platform, city });
+  if (entry) {
+    return { transportMode: entry.transportMode, source: 'preference' };
+  }
+
+  return { transportMode: DEFAULT_TRANSPORT, source: 'default' };
+}
+
+module.exports = {
+  normalizePlatform,
+  normalizeCity,
+  matchDeliveryVehicle,
+  resolveOrderCity,
+  getDeliveryVehicles,
+  setDeliveryVehicles,
+  resolveTransportMode
+};
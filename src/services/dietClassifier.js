@@ -0,0 +1,111 @@
+// Diet Classifier
+// ----------------------------------------------------------------------
+// Assigns each order item a diet category (vegan, veg, egg or non-veg) from
+// its resolved ingredients, dish-name keywords and the platform's own veg
+// flag where one is reported (Swiggy's is_veg).
+
+// From most to least plant based
+const DIET_CATEGORIES = ['vegan', 'veg', 'egg', 'non-veg'];
+
+// Categories that count as vegetarian in insights
+const VEGETARIAN_CATEGORIES = ['vegan', 'veg'];
+
+const MEAT_INGREDIENTS = [
+  'beef', 'lamb', 'mutton', 'pork', 'bacon', 'ham', 'chicken', 'turkey', 'duck',
+  'fish', 'salmon', 'tuna', 'shrimp', 'prawns', 'crab', 'lobster', 'squid', 'gelatin'
+];
+const EGG_INGREDIENTS = ['eggs', 'egg', 'mayonnaise'];
+const ANIMAL_PRODUCT_INGREDIENTS = [
+  'cheese', 'paneer', 'milk', 'butter', 'cream', 'yogurt', 'ghee', 'cream cheese', 'curd', 'honey', 'khoa'
+];
+
+// Dish-name keywords, checked in this order so "non veg thali" is not read as veg
+const DISH_KEYWORDS = [
+  { category: 'non-veg', pattern: /\bnon[\s-]?veg\b/ },
+  { category: 'vegan', pattern: /\b(?:vegan|plant[\s-]?based)\b/ },
+  { category: 'egg', pattern: /\b(?:eggs?|anda|omelett?e?)\b/ },
+  {
+    category: 'non-veg',
+    pattern: /\b(?:chicken|murgh|mutton|gosht|keema|lamb|beef|pork|bacon|ham|salami|pepperoni|sausage|fish|machli|prawns?|shrimps?|crab|lobster|tuna|salmon|seekh|wings?)\b/
+  },
+  { category: 'veg', pattern: /\b(?:veg|veggie|vegetarian|paneer|dal|aloo|gobi|chana|rajma)\b/ }
+];
+
+/**
+ * Classify a set of ingredients
+ * @param {Object} ingredients - Grams by ingredient
+ * @return {string|null} - Diet category, null when there are no ingredients
+ */
+function classifyIngredients(ingredients) {
+  const names = Object.keys(ingredients || {}).map(name => name.toLowerCase());
+  if (names.length === 0) return null;
+
+  const includesAny = list => names.some(name => list.some(entry => name === entry || name.split(' ').includes(entry)));
+  if (includesAny(MEAT_INGREDIENTS)) return 'non-veg';
+  if (includesAny(EGG_INGREDIENTS)) return 'egg';
+  if (includesAny(ANIMAL_PRODUCT_INGREDIENTS)) return 'veg';
+  return 'vegan';
+}
+
+/**
+ * Classify a dish by keywords in its name
+ * @param {string} name - Dish name
+ * @return {string|null} - Diet category, null when the name says nothing about it
+ */
+function classifyDishName(name) {
+  const text = String(name || '').toLowerCase();
+  const keyword = DISH_KEYWORDS.find(({ pattern }) => pattern.test(text));
+  return keyword ? keyword.category : null;
+}
+
+/**
+ * Assign a diet category to an order item
+ * The least plant-based reading of the name and ingredients wins, unless the
+ * name says the dish is vegan (a "vegan cheese pizza" resolves to a cheese
+ * recipe) or vegetarian. A platform veg flag then caps or raises the result:
+ * veg items are never egg or meat, non-veg items are at least egg.
+ * @param {Object} item - { name, ingredients?, isVeg? }
+ * @return {string|null} - vegan, veg, egg or non-veg; null when nothing is known
+ */
+function classifyItem({ name, ingredients, isVeg }) {
+  const fromName = classifyDishName(name);
+  const fromIngredients = classifyIngredients(ingredients);
+
+  let category;
+  if (fromName === 'vegan') {
+    category = 'vegan';
+  } else if (fromName === 'veg') {
+    // "Veg" names only rule out meat; the ingredients tell vegan from dairy
+    category = fromIngredients === 'vegan' ? 'vegan' : 'veg';
+  } else {
+    const readings = [fromName, fromIngredients].filter(Boolean);
+    category = readings.length > 0
+      ? readings.reduce((a, b) => DIET_CATEGORIES.indexOf(a) >= DIET_CATEGORIES.indexOf(b) ? a : b)
+      : null;
+  }
+
+  if (isVeg === true) {
+    return category === 'vegan' ? 'vegan' : 'veg';
+  }
+  if (isVeg === false) {
+    return category === 'egg' ? 'egg' : 'non-veg';
+  }
+  return category;
+}
+
+/**
+ * Whether a diet category counts as vegetarian
+ * @param {string} category - Diet category
+ * @return {boolean}
+ */
+function isVegetarian(category) {
+  return VEGETARIAN_CATEGORIES.includes(category);
+}
+
+module.exports = {
+  DIET_CATEGORIES,
+  classifyIngredients,
+  classifyDishName,
+  classifyItem,
+  isVegetarian
+};
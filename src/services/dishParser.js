@@ -0,0 +1,340 @@
+// Dish Name Parser
+// ----------------------------------------------------------------------
+// Turns dish strings and menu item names into structured dishes: quantity,
+// portion (half/full, 250 ml, 6 pcs, family pack), the components of combos,
+// thalis and meals, and add-ons, so ingredient grams can be scaled to what
+// was actually ordered.
+
+const { matchRecipe } = require('./recipeKnowledgeBase');
+
+// "2 x Paneer Tikka", "2x Paneer Tikka", "2 × Paneer Tikka", "2 * Paneer Tikka"
+// An "x" must be followed by a space, so "3 Xtreme Burger" keeps its name
+const LEADING_QUANTITY = /^(\d+)\s*(?:x(?=\s)|[×*])\s*(.+)$/i;
+
+// "Paneer Tikka x 2", "Paneer Tikka (x2)", "Paneer Tikka - Qty 2"
+const TRAILING_QUANTITY = /^(.+?)\s+(?:\(\s*[x×]\s*(\d+)\s*\)|[x×]\s*(\d+)|-?\s*qty:?\s*(\d+))$/i;
+
+// Servings per portion word, longest phrases first so "family pack" beats "pack"
+const PORTION_WORDS = [
+  ['family pack', 3],
+  ['party pack', 5],
+  ['family', 3],
+  ['quarter', 0.25],
+  ['half', 0.5],
+  ['mini', 0.5],
+  ['small', 0.75],
+  ['regular', 1],
+  ['medium', 1],
+  ['full', 1],
+  ['single', 1],
+  ['large', 1.5]
+];
+
+// Weights and volumes are turned into grams; drinks and gravies are taken as 1 g per ml
+const MEASURED_PORTIONS = [
+  { pattern: /(\d+(?:\.\d+)?)\s*(?:kg|kgs)\b/i, toGrams: value => value * 1000 },
+  { pattern: /(\d+(?:\.\d+)?)\s*(?:g|gm|gms|gram|grams)\b/i, toGrams: value => value },
+  { pattern: /(\d+(?:\.\d+)?)\s*(?:l|ltr|litre|liter)\b/i, toGrams: value => value * 1000 },
+  { pattern: /(\d+(?:\.\d+)?)\s*ml\b/i, toGrams: value => value }
+];
+
+// Two half-and-half toppings on one whole dish, e.g. "Half & Half Pizza"
+const HALF_AND_HALF = /\bhalf\s*(?:&|and|n)\s*half\b/g;
+
+const PIECES_PATTERN = /(\d+)\s*(?:pcs?|pieces?|nos?)\b/i;
+const SERVES_PATTERN = /\bserves\s*(\d+)\b/i;
+
+// Pieces in one standard serving; dishes not listed are served one piece at a time
+const PIECES_PER_SERVING = [
+  [/momo|dumpling|dim ?sum/, 6],
+  [/wing|nugget|sushi|maki|nigiri/, 6],
+  [/kebab|kabab|tikka|pakora|tikki|fritter/, 4],
+  [/idli|vada|jamun|rasgulla/, 2]
+];
+
+// Separators between the parts of a combo: "Burger + Fries", "Roll with Coke"
+const COMBO_SEPARATOR = /\s*\+\s*|\s+with\s+/i;
+
+// "&" joins two dishes in "Butter Chicken & Naan" but belongs to the name in
+// "Mac & Cheese" or "Hot & Sour Soup", so it is only split when both sides are known dishes
+const AMPERSAND_SEPARATOR = /\s+&\s+/;
+
+// "Extra Cheese", "Add Raita", "Add-on: Gulab Jamun"
+const ADD_ON_PATTERN = /^(?:extra|add(?:[\s-]?on)?s?)\b\s*:?\s*(.+)$/i;
+
+// Toppings sold as add-ons, in grams, rather than as a full serving of a dish
+const ADD_ON_INGREDIENTS = {
+  cheese: { cheese: 30 },
+  butter: { butter: 15 },
+  ghee: { ghee: 10 },
+  paneer: { paneer: 50 },
+  egg: { eggs: 50 },
+  chicken: { chicken: 60 },
+  mayo: { mayonnaise: 20 },
+  mayonnaise: { mayonnaise: 20 },
+  cream: { cream: 20 }
+};
+
+// What a thali or an unnamed meal is assumed to contain
+const THALI_COMPONENTS = ['dal tadka', 'steamed rice', 'mix veg', '2 x tandoori roti', 'raita'];
+
+// Thali main course by protein; replaces the mix veg
+const THALI_MAINS = {
+  chicken: 'chicken curry',
+  mutton: 'mutton curry',
+  fish: 'fish curry',
+  prawn: 'prawn curry',
+  egg: 'egg curry',
+  paneer: 'paneer butter masala'
+};
+
+// Sides that come with a fast food meal, e.g. "McSpicy Paneer Meal"
+const MEAL_SIDES = ['french fries', 'soft drink'];
+
+// Words that leave nothing specific once "meal" is removed, e.g. "Veg Executive Meal"
+const GENERIC_MEAL_WORDS = /^(?:veg|non veg|nonveg|executive|lunch|dinner|mini|special|deluxe|combo|\s)*$/i;
+
+/**
+ * Split a dish string into one entry per dish
+ * Commas only separate dishes when the next dish starts with a quantity, so
+ * "1 x Paneer, Butter Masala, 2 x Naan" keeps "Paneer, Butter Masala" whole.
+ * @param {string} dishString - e.g. "2 x Paneer Tikka, 1 x Naan"
+ * @return {Array} - Dish entries
+ */
+function splitDishString(dishString) {
+  const value = String(dishString || '').trim();
+  if (!value) return [];
+
+  const parts = LEADING_QUANTITY.test(value)
+    ? value.split(/\s*,\s*(?=\d+\s*(?:x\s|[×*]))/i)
+    : value.split(/\s*,\s*/);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Separate the quantity from a dish entry
+ * @param {string} entry - e.g. "2 x Paneer Tikka" or "Paneer Tikka x 2"
+ * @return {Object} - { quantity, name }
+ */
+function parseQuantity(entry) {
+  const value = String(entry || '').trim();
+
+  const leading = value.match(LEADING_QUANTITY);
+  if (leading) {
+    return { quantity: parseInt(leading[1]) || 1, name: leading[2].trim() };
+  }
+
+  const trailing = value.match(TRAILING_QUANTITY);
+  if (trailing) {
+    return { quantity: parseInt(trailing[2] || trailing[3] || trailing[4]) || 1, name: trailing[1].trim() };
+  }
+
+  return { quantity: 1, name: value };
+}
+
+/**
+ * Work out the portion named in a dish name
+ * @param {string} name - Dish name, e.g. "Chicken Momos (8 pcs)"
+ * @return {Object|null} - { label, multiplier } or { label, grams }, null for a standard serving
+ */
+function parsePortion(name) {
+  const text = name.toLowerCase().replace(HALF_AND_HALF, ' ');
+
+  for (const { pattern, toGrams } of MEASURED_PORTIONS) {
+    const match = text.match(pattern);
+    if (match) {
+      return { label: match[0].trim(), grams: toGrams(parseFloat(match[1])) };
+    }
+  }
+
+  const pieces = text.match(PIECES_PATTERN);
+  if (pieces) {
+    const perServing = PIECES_PER_SERVING.find(([pattern]) => pattern.test(text));
+    return { label: pieces[0].trim(), multiplier: parseInt(pieces[1]) / (perServing ? perServing[1] : 1) };
+  }
+
+  const serves = text.match(SERVES_PATTERN);
+  if (serves) {
+    return { label: serves[0].trim(), multiplier: parseInt(serves[1]) || 1 };
+  }
+
+  for (const [word, multiplier] of PORTION_WORDS) {
+    if (new RegExp(`\\b${word}\\b`).test(text)) {
+      return { label: word, multiplier };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Strip the quantity, portion and bracketed notes from a dish name
+ * @param {string} name - e.g. "Chicken Biryani (Half) - 500 g"
+ * @return {string} - Name to look the dish up by, e.g. "chicken biryani"
+ */
+function cleanDishName(name) {
+  let text = name.toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    .replace(HALF_AND_HALF, ' ')
+    .replace(PIECES_PATTERN, ' ')
+    .replace(SERVES_PATTERN, ' ');
+
+  for (const { pattern } of MEASURED_PORTIONS) {
+    text = text.replace(pattern, ' ');
+  }
+  for (const [word] of PORTION_WORDS) {
+    text = text.replace(new RegExp(`\\b${word}\\b(?:\\s+(?:plate|portion|pack))?`, 'g'), ' ');
+  }
+
+  return text.replace(/\s+[-&]\s*$|^\s*[-&]\s+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether a dish name is a dish in the recipe knowledge base, as a whole
+ * @param {string} name - Dish name
+ * @return {boolean}
+ */
+function isKnownDish(name) {
+  const baseName = cleanDishName(name);
+  return Boolean(baseName) && matchRecipe(baseName)?.match === 'exact';
+}
+
+/**
+ * Split a combo part on "&" when it names two or more known dishes
+ * @param {string} part - e.g. "Butter Chicken & Butter Naan" or "Sweet & Sour Chicken"
+ * @return {Array} - The dishes, or the part itself when "&" belongs to the name
+ */
+function splitAmpersand(part) {
+  const sides = part.split(AMPERSAND_SEPARATOR).map(side => side.trim());
+  if (sides.length < 2 || isKnownDish(part)) return [part];
+  return sides.every(isKnownDish) ? sides : [part];
+}
+
+/**
+ * Expand a thali or meal into the dishes it is assumed to contain
+ * @param {string} baseName - Cleaned dish name
+ * @return {Array|null} - Component dish names, null when the dish is not a thali or meal
+ */
+function getTemplateComponents(baseName) {
+  const isThali = /\bthali\b/.test(baseName);
+  const isMeal = /\bmeal\b/.test(baseName);
+  if (!isThali && !isMeal) return null;
+
+  const mainName = baseName.replace(/\b(?:thali|meal)\b/g, ' ').replace(/\s+/g, ' ').trim();
+  if (isMeal && !GENERIC_MEAL_WORDS.test(mainName)) {
+    return [mainName, ...MEAL_SIDES];
+  }
+
+  const protein = Object.keys(THALI_MAINS).find(key => new RegExp(`\\b${key}\\b`).test(mainName));
+  return protein
+    ? THALI_COMPONENTS.map(component => component === 'mix veg' ? THALI_MAINS[protein] : component)
+    : [...THALI_COMPONENTS];
+}
+
+/**
+ * Parse an add-on such as "Extra Cheese"
+ * @param {string} name - Add-on text without the "extra"/"add" prefix
+ * @return {Object} - Parsed dish, with fixed ingredients for known toppings
+ */
+function parseAddOn(name) {
+  const dish = parseDishName(name);
+  const topping = Object.keys(ADD_ON_INGREDIENTS).find(key => new RegExp(`\\b${key}\\b`).test(dish.baseName));
+  return {
+    ...dish,
+    addOn: true,
+    ...(topping && dish.baseName.split(' ').length <= 2 && { ingredients: ADD_ON_INGREDIENTS[topping] })
+  };
+}
+
+/**
+ * Parse a dish name without its quantity
+ * @param {string} name - e.g. "Paneer Roll Combo with Coke (Extra Cheese)"
+ * @return {Object} - { name, baseName, quantity, portion, components, addOns }
+ */
+function parseDishName(name) {
+  const { quantity, name: dishName } = parseQuantity(name);
+
+  // Bracketed add-ons and sides become combo parts: "Biryani (with Raita)" -> "Biryani + Raita"
+  const text = dishName.replace(/\(([^)]*)\)/g, (group, content) => {
+    return /^\s*(?:with\s|extra\b|add\b)/i.test(content) ? ` + ${content.trim().replace(/^with\s+/i, '')}` : group;
+  });
+
+  // Parts that are only a portion or a note, e.g. "+ (Large)", belong to the part before them
+  const [main, ...rest] = text.split(COMBO_SEPARATOR)
+    .flatMap(part => splitAmpersand(part.trim()))
+    .reduce((parts, part) => {
+      if (cleanDishName(part) || parts.length === 0) return [...parts, part];
+      return [...parts.slice(0, -1), `${parts[parts.length - 1]} ${part}`];
+    }, [])
+    .filter(part => cleanDishName(part));
+  const baseName = cleanDishName(main || dishName);
+  const dish = {
+    name: dishName.toLowerCase().trim(),
+    baseName,
+    quantity,
+    portion: parsePortion(main || dishName),
+    components: [],
+    addOns: []
+  };
+
+  const components = [];
+  for (const part of rest) {
+    const addOn = part.match(ADD_ON_PATTERN);
+    if (addOn) {
+      dish.addOns.push(parseAddOn(addOn[1]));
+    } else {
+      components.push(parseDishName(part));
+    }
+  }
+
+  if (components.length > 0) {
+    // The portion of a combo applies to each part, not to the whole combo again
+    dish.components = [{ ...parseDishName(main), addOns: [] }, ...components];
+    dish.baseName = cleanDishName(text.replace(/\s*\+\s*(?:extra|add)\b[^+]*/gi, ' ').replace(/\s*\+\s*/g, ' + '));
+    dish.portion = null;
+  } else {
+    const template = getTemplateComponents(baseName);
+    if (template) {
+      dish.components = template.map(component => parseDishName(component));
+    }
+  }
+
+  return dish;
+}
+
+/**
+ * Parse a dish string into structured dishes
+ * @param {string} dishString - e.g. "2 x Chicken Biryani (Half) + Coke, 1 x Butter Naan"
+ * @return {Array} - Parsed dishes { name, baseName, quantity, portion, components, addOns }
+ */
+function parseDishString(dishString) {
+  return splitDishString(dishString).map(entry => parseDishName(entry));
+}
+
+/**
+ * Scale a standard serving's ingredients to a portion
+ * @param {Object} ingredients - Grams per standard serving
+ * @param {Object|null} portion - { multiplier } or { grams } from parsePortion
+ * @return {Object} - Grams for the portion
+ */
+function applyPortion(ingredients, portion) {
+  if (!portion || !ingredients) return ingredients;
+
+  const servingGrams = Object.values(ingredients).reduce((sum, grams) => sum + grams, 0);
+  const factor = portion.grams != null
+    ? (servingGrams > 0 ? portion.grams / servingGrams : 1)
+    : portion.multiplier;
+
+  return Object.fromEntries(
+    Object.entries(ingredients).map(([ingredient, grams]) => [ingredient, parseFloat((grams * factor).toFixed(1))])
+  );
+}
+
+module.exports = {
+  splitDishString,
+  parseQuantity,
+  parsePortion,
+  parseDishName,
+  parseDishString,
+  applyPortion
+};
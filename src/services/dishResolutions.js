@@ -0,0 +1,159 @@
+// Dish Resolutions
+// ----------------------------------------------------------------------
+// Persistent dish -> ingredients lookups. Recipe API results are cached so
+// a dish is only looked up once, and users or admins can override how a
+// dish resolves, optionally for a single restaurant
+// (e.g. "this restaurant's Thali is 100 g rice, 80 g dal...").
+
+const mongoose = require('mongoose');
+const DishResolution = require('../models/DishResolution');
+const { normalizeDishName } = require('./recipeKnowledgeBase');
+
+/**
+ * Whether resolutions can be read or written right now
+ * Scripts that run the engine without a database skip the lookups instead of
+ * waiting for mongoose to time out.
+ * @return {boolean}
+ */
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Normalize a restaurant name so overrides match across platforms
+ * @param {string} restaurantName - Restaurant name
+ * @return {string|null} - Normalized name or null when not given
+ */
+function normalizeRestaurantName(restaurantName) {
+  const name = String(restaurantName || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return name || null;
+}
+
+/**
+ * Rank an override by how specific its scope is
+ * @param {Object} override - DishResolution override
+ * @return {number} - Higher is more specific
+ */
+function overrideSpecificity(override) {
+  return (override.user ? 2 : 0) + (override.restaurantName ? 1 : 0);
+}
+
+/**
+ * Find the override that applies to a dish
+ * The most specific one wins: the user's override at this restaurant, the
+ * user's override anywhere, an admin override at this restaurant, then an
+ * admin override anywhere.
+ * @param {string} dishName - Dish name as ordered
+ * @param {Object} context - { userId?, restaurantName? }
+ * @return {Promise<Object|null>} - Override or null
+ */
+async function findOverride(dishName, { userId, restaurantName } = {}) {
+  const normalizedName = normalizeDishName(dishName);
+  if (!normalizedName || !isDatabaseReady()) return null;
+
+  const overrides = await DishResolution.find({
+    normalizedName,
+    isOverride: true,
+    user: { $in: [userId || null, null] },
+    restaurantName: { $in: [normalizeRestaurantName(restaurantName), null] }
+  }).lean();
+
+  return overrides.sort((a, b) => overrideSpecificity(b) - overrideSpecificity(a))[0] || null;
+}
+
+/**
+ * Get a cached recipe API resolution
+ * @param {string} dishName - Dish name as ordered
+ * @return {Promise<Object|null>} - { recipe, ingredients, source } or null
+ */
+async function getCachedResolution(dishName) {
+  const normalizedName = normalizeDishName(dishName);
+  if (!normalizedName || !isDatabaseReady()) return null;
+
+  const cached = await DishResolution.findOne({
+    normalizedName,
+    isOverride: false,
+    user: null,
+    restaurantName: null
+  }).lean();
+
+  return cached && { recipe: cached.recipe || null, ingredients: cached.ingredients, source: cached.source };
+}
+
+/**
+ * Cache a recipe API resolution
+ * @param {string} dishName - Dish name as ordered
+ * @param {Object} resolution - { recipe, ingredients, source }
+ * @return {Promise<void>}
+ */
+async function cacheResolution(dishName, { recipe, ingredients, source }) {
+  const normalizedName = normalizeDishName(dishName);
+  if (!normalizedName || !isDatabaseReady()) return;
+
+  await DishResolution.updateOne(
+    { normalizedName, isOverride: false, user: null, restaurantName: null },
+    { recipe, ingredients, source },
+    { upsert: true }
+  );
+}
+
+/**
+ * List overrides visible to a user: their own and the admin ones
+ * @param {string} userId - User ID
+ * @return {Promise<Array>} - Overrides
+ */
+async function listOverrides(userId) {
+  return DishResolution.find({ isOverride: true, user: { $in: [userId, null] } })
+    .sort({ normalizedName: 1, restaurantName: 1 })
+    .lean();
+}
+
+/**
+ * Create or replace an override
+ * @param {Object} input - { dishName, ingredients, restaurantName?, recipe? }
+ * @param {Object} options - { userId: owner, null for an admin override; createdBy }
+ * @return {Promise<Object>} - Saved override
+ */
+async function saveOverride({ dishName, ingredients, restaurantName, recipe }, { userId, createdBy }) {
+  const normalizedName = normalizeDishName(dishName);
+  if (!normalizedName) {
+    throw new Error(`"${dishName}" is not a recognisable dish name`);
+  }
+
+  const filter = {
+    normalizedName,
+    isOverride: true,
+    user: userId || null,
+    restaurantName: normalizeRestaurantName(restaurantName)
+  };
+
+  const override = await DishResolution.findOneAndUpdate(
+    filter,
+    { ...filter, recipe: recipe || dishName.trim(), ingredients, source: 'override', createdBy },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  console.log(`[DEBUG] Saved dish override for "${normalizedName}" (user: ${filter.user || 'all'}, restaurant: ${filter.restaurantName || 'any'})`);
+  return override;
+}
+
+/**
+ * Delete an override
+ * @param {string} id - Override ID
+ * @param {Object} options - { userId: owner, null for an admin override }
+ * @return {Promise<boolean>} - Whether an override was deleted
+ */
+async function deleteOverride(id, { userId }) {
+  const result = await DishResolution.deleteOne({ _id: id, isOverride: true, user: userId || null });
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  normalizeRestaurantName,
+  findOverride,
+  getCachedResolution,
+  cacheResolution,
+  listOverrides,
+  saveOverride,
+  deleteOverride
+};
@@ -1,13 +1,14 @@
+const mongoose = require('mongoose');
 const Emission = require('../models/Emission');
 const Order = require('../models/Order');
+const { TRAVEL_EMISSIONS } = require('./totalEmissions');
+const { DEFAULT_TRANSPORT, normalizeTransportMode } = require('./transportModes');
+const { aggregateTrendSeries, normalizeTrendOptions } = require('./emissionTrends');
 
 // Emission factors (in kg CO2e)
 const EMISSION_FACTORS = {
-  transport: {
-    bike: 0.05, // kg CO2e per km
-    car: 0.2,   // kg CO2e per km
-    walking: 0   // kg CO2e per km
-  },
+  // kg CO2e per km, shared with the order emission engine
+  transport: TRAVEL_EMISSIONS,
   packaging: {
     plastic: 0.1,  // kg CO2e per order
     paper: 0.05,   // kg CO2e per order
@@ -30,6 +31,12 @@ class EmissionService {
         throw new Error('Order not found');
       }
 
+      // Old bike/car/walking values map onto the engine's transport modes
+      factors = {
+        ...factors,
+        transportMode: normalizeTransportMode(factors.transportMode) || DEFAULT_TRANSPORT
+      };
+
       // Calculate transport emission
       const transportEmission = this.calculateTransportEmission(
         factors.transportMode,
@@ -80,7 +87,8 @@ class EmissionService {
   }
 
   static calculateTransportEmission(mode, distance) {
-    return EMISSION_FACTORS.transport[mode] * distance;
+    const factor = EMISSION_FACTORS.transport[normalizeTransportMode(mode)];
+    return (factor != null ? factor : EMISSION_FACTORS.transport[DEFAULT_TRANSPORT]) * distance;
   }
 
   static calculatePackagingEmission(type) {
@@ -113,27 +121,38 @@ class EmissionService {
     }
   }
 
-  static async getEmissionTrends(userId, period = 'month') {
+  /**
+   * Bucket a user's emission records over time
+   * @param {string} userId - User ID
+   * @param {Object|string} [options] - { from?, to?, granularity?, timezone?, window? }; "month" or
+   *                                    "year" still returns daily buckets for that lookback
+   * @return {Promise<Object>} - { from, to, granularity, timezone, window, buckets }
+   */
+  static async getEmissionTrends(userId, options = {}) {
     try {
-      const startDate = new Date();
-      if (period === 'month') {
-        startDate.setMonth(startDate.getMonth() - 1);
-      } else if (period === 'year') {
-        startDate.setFullYear(startDate.getFullYear() - 1);
+      if (typeof options === 'string') {
+        const from = new Date();
+        if (options === 'year') {
+          from.setFullYear(from.getFullYear() - 1);
+        } else {
+          from.setMonth(from.getMonth() - 1);
+        }
+        options = { from, granularity: 'day' };
       }
 
-      const emissions = await Emission.find({
-        user: userId,
-        createdAt: { $gte: startDate }
-      }).sort({ createdAt: 1 });
-
-      return emissions.map(e => ({
-        date: e.createdAt,
-        totalEmission: e.totalEmission,
-        transportEmission: e.transportEmission,
-        packagingEmission: e.packagingEmission,
-        foodEmission: e.foodEmission
-      }));
+      const settings = normalizeTrendOptions(options);
+      const buckets = await aggregateTrendSeries(Emission, {
+        match: { user: new mongoose.Types.ObjectId(userId) },
+        dateField: 'createdAt',
+        fields: {
+          total: '$totalEmission',
+          transport: '$transportEmission',
+          packaging: '$packagingEmission',
+          food: '$foodEmission'
+        }
+      }, settings);
+
+      return { ...settings, buckets };
     } catch (error) {
       console.error('Error getting emission trends:', error);
       throw error;
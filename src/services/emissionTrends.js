@@ -0,0 +1,346 @@
+// Emission Trends
+// ----------------------------------------------------------------------
+// Buckets emissions by day, week, month or year in the caller's timezone
+// with a MongoDB pipeline, so charts get totals per component and order
+// counts without downloading every order. Periods without orders are filled
+// in with zeros afterwards, and moving averages are taken over that series.
+// The pipeline uses $dateTrunc, which needs MongoDB 5.0 or later.
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+
+const TREND_GRANULARITIES = ['day', 'week', 'month', 'year'];
+
+const DEFAULT_GRANULARITY = 'month';
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Buckets each moving average spans, the current one included
+const DEFAULT_MOVING_AVERAGE_WINDOW = 3;
+
+// Weeks start on Monday (ISO 8601)
+const START_OF_WEEK = 'monday';
+
+// Oldest MongoDB server the pipeline runs on
+const MIN_SERVER_VERSION = '5.0';
+
+// ISO 8601 date, optionally with a time, but without a UTC offset
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+/**
+ * Whether a string is an IANA timezone name such as "Asia/Kolkata"
+ * @param {string} timezone - Timezone name
+ * @return {boolean}
+ */
+function isValidTimeZone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date a moment falls on in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA timezone name
+ * @return {Object} - { year, month (1-12), day }
+ */
+function getZonedDate(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(date);
+  const part = type => parseInt(parts.find(entry => entry.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+}
+
+/**
+ * Get the offset of a timezone from UTC at a moment
+ * @param {number} time - Moment in milliseconds since the epoch
+ * @param {string} timezone - IANA timezone name
+ * @return {number} - Milliseconds to add to UTC to get the local time
+ */
+function getTimeZoneOffset(time, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(time));
+  const part = type => parseInt(parts.find(entry => entry.type === type).value);
+  const local = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return local - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Get the moment a wall clock time is reached in a timezone
+ * @param {Object} localTime - { year, month (1-12), day, hour?, minute?, second?, millisecond? };
+ *                             out of range values roll over
+ * @param {string} timezone - IANA timezone name
+ * @return {Date}
+ */
+function getZonedTime({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timezone) {
+  const local = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const guess = local - getTimeZoneOffset(local, timezone);
+  // The offset at the guess differs when a DST change falls in between
+  return new Date(local - getTimeZoneOffset(guess, timezone));
+}
+
+/**
+ * Parse a date option, reading dates and times without a UTC offset in a timezone
+ * "2025-03-31" is midnight in the timezone; "2025-03-31T00:00:00Z" stays UTC.
+ * @param {string|Date} value - Date option
+ * @param {string} timezone - IANA timezone name
+ * @return {Date}
+ */
+function parseZonedDate(value, timezone) {
+  const local = typeof value === 'string' && value.trim().match(LOCAL_DATE_TIME);
+  if (!local) return new Date(value);
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = local;
+  return getZonedTime({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+    millisecond: Number(fraction.padEnd(3, '0'))
+  }, timezone);
+}
+
+/**
+ * Get the start of the bucket a moment falls in, as $dateTrunc computes it
+ * @param {Date} date - Moment
+ * @param {string} granularity - day, week, month or year
+ * @param {string} timezone - IANA timezone name
+ * @param {number} [offset] - Buckets to move back from there, negative to move forward
+ * @return {Date}
+ */
+function getBucketStart(date, granularity, timezone, offset = 0) {
+  const { year, month, day } = getZonedDate(date, timezone);
+
+  switch (granularity) {
+    case 'day':
+      return getZonedTime({ year, month, day: day - offset }, timezone);
+    case 'week': {
+      const daysSinceMonday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+      return getZonedTime({ year, month, day: day - daysSinceMonday - 7 * offset }, timezone);
+    }
+    case 'month':
+      return getZonedTime({ year, month: month - offset, day: 1 }, timezone);
+    default:
+      return getZonedTime({ year: year - offset, month: 1, day: 1 }, timezone);
+  }
+}
+
+/**
+ * Build the aggregation pipeline that buckets emission records
+ * Records from the (window - 1) buckets before `from` are read too, so the
+ * first buckets' moving averages are complete; buildTrendSeries drops them.
+ * Only buckets with records come back. The date range is a plain match on the date field, so an index on it is used.
+ * @param {Object} source - { match, dateField, fields: { total, transport, packaging, food, low?, high? } }
+ *                          where fields are aggregation expressions such as "$emissionData.totalEmission"
+ * @param {Object} options - { from?, to?, granularity, timezone, window }
+ * @return {Array} - Aggregation pipeline
+ */
+function buildTrendPipeline({ match, dateField, fields }, { from, to, granularity, timezone, window }) {
+  const date = `$${dateField}`;
+  const truncate = value => ({
+    $dateTrunc: {
+      date: value,
+      unit: granularity,
+      timezone,
+      ...(granularity === 'week' && { startOfWeek: START_OF_WEEK })
+    }
+  });
+  const sum = field => ({ $sum: { $ifNull: [field, 0] } });
+  const round = value => ({ $round: [value, 4] });
+
+  const dateRange = {
+    ...(from && { $gte: getBucketStart(from, granularity, timezone, window - 1) }),
+    ...(to && { $lt: to })
+  };
+
+  return [
+    { $match: { ...match, ...((from || to) && { [dateField]: dateRange }) } },
+    {
+      $group: {
+        _id: truncate(date),
+        orderCount: { $sum: 1 },
+        totalEmission: sum(fields.total),
+        transportEmission: sum(fields.transport),
+        packagingEmission: sum(fields.packaging),
+        foodEmission: sum(fields.food),
+        ...(fields.low && { low: sum(fields.low), high: sum(fields.high) })
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        start: '$_id',
+        orderCount: 1,
+        totalEmission: round('$totalEmission'),
+        transportEmission: round('$transportEmission'),
+        packagingEmission: round('$packagingEmission'),
+        foodEmission: round('$foodEmission'),
+        ...(fields.low && { emissionRange: { low: round('$low'), high: round('$high') } })
+      }
+    }
+  ];
+}
+
+/**
+ * Round a number to 4 decimal places, as the pipeline does
+ * @param {number} value - Number
+ * @return {number}
+ */
+function roundTrendValue(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+/**
+ * Fill in the periods without records and add moving averages
+ * The series runs from the bucket of `from` (less the window padding) to the
+ * bucket just before `to`; without them it starts or ends at the first or
+ * last bucket with records. Padding buckets are dropped once the averages
+ * are taken.
+ * @param {Array} buckets - Pipeline output, sorted by start
+ * @param {Object} options - { from?, to?, granularity, timezone, window }
+ * @param {boolean} [withRange] - Whether buckets carry an emissionRange
+ * @return {Array} - One bucket per period, each with a movingAverage
+ */
+function buildTrendSeries(buckets, { from, to, granularity, timezone, window }, withRange = false) {
+  if (buckets.length === 0 && !(from && to)) return [];
+
+  const first = from ? getBucketStart(from, granularity, timezone, window - 1) : buckets[0].start;
+  const last = to
+    ? getBucketStart(new Date(to.getTime() - 1), granularity, timezone)
+    : buckets[buckets.length - 1].start;
+  const shownFrom = from ? getBucketStart(from, granularity, timezone) : first;
+  const byStart = new Map(buckets.map(bucket => [new Date(bucket.start).getTime(), bucket]));
+
+  const series = [];
+  for (let start = first; start <= last; start = getBucketStart(start, granularity, timezone, -1)) {
+    series.push(byStart.get(start.getTime()) || {
+      start,
+      orderCount: 0,
+      totalEmission: 0,
+      transportEmission: 0,
+      packagingEmission: 0,
+      foodEmission: 0,
+      ...(withRange && { emissionRange: { low: 0, high: 0 } })
+    });
+  }
+
+  return series
+    .map((bucket, index) => {
+      const inWindow = series.slice(Math.max(0, index - window + 1), index + 1);
+      const windowEmission = inWindow.reduce((total, entry) => total + entry.totalEmission, 0);
+      const windowOrders = inWindow.reduce((total, entry) => total + entry.orderCount, 0);
+      return {
+        ...bucket,
+        movingAverage: {
+          totalEmission: roundTrendValue(windowEmission / window),
+          orderCount: roundTrendValue(windowOrders / window),
+          emissionPerOrder: windowOrders > 0 ? roundTrendValue(windowEmission / windowOrders) : null
+        }
+      };
+    })
+    .filter(bucket => bucket.start >= shownFrom);
+}
+
+/**
+ * Bucket emission records and fill in the series
+ * @param {Object} model - Mongoose model to aggregate
+ * @param {Object} source - See buildTrendPipeline
+ * @param {Object} settings - Normalized trend options
+ * @return {Promise<Array>} - Buckets
+ */
+async function aggregateTrendSeries(model, source, settings) {
+  const buckets = await model.aggregate(buildTrendPipeline(source, settings));
+  return buildTrendSeries(buckets, settings, Boolean(source.fields.low));
+}
+
+/**
+ * Fill in defaults for trend options
+ * @param {Object} options - { from?, to?, granularity?, timezone?, window? }
+ * @return {Object} - { from, to, granularity, timezone, window }
+ */
+function normalizeTrendOptions({ from, to, granularity, timezone, window } = {}) {
+  const zone = isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  return {
+    from: from ? parseZonedDate(from, zone) : null,
+    to: to ? parseZonedDate(to, zone) : null,
+    granularity: TREND_GRANULARITIES.includes(granularity) ? granularity : DEFAULT_GRANULARITY,
+    timezone: zone,
+    window: parseInt(window) > 0 ? parseInt(window) : DEFAULT_MOVING_AVERAGE_WINDOW
+  };
+}
+
+/**
+ * Bucket a user's order emissions over time
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { from?, to? (exclusive), granularity?, timezone?, window? }
+ * @return {Promise<Object>} - { from, to, granularity, timezone, window, buckets }
+ */
+async function getOrderEmissionTrends(userId, options) {
+  const settings = normalizeTrendOptions(options);
+  const buckets = await aggregateTrendSeries(Order, {
+    match: { user: new mongoose.Types.ObjectId(userId) },
+    dateField: 'orderDate',
+    fields: {
+      total: '$emissionData.totalEmission',
+      transport: '$emissionData.transportEmission',
+      packaging: '$emissionData.packagingEmission',
+      food: '$emissionData.foodEmission',
+      low: '$emissionData.ranges.total.low',
+      high: '$emissionData.ranges.total.high'
+    }
+  }, settings);
+
+  return { ...settings, buckets };
+}
+
+/**
+ * Warn when the connected MongoDB server is too old for the trend pipeline
+ * @return {Promise<boolean|null>} - Whether it is recent enough, null when the version could not be read
+ */
+async function checkTrendSupport() {
+  try {
+    const { version } = await mongoose.connection.db.admin().serverInfo();
+    const [major, minor] = version.split('.').map(Number);
+    const [minMajor, minMinor] = MIN_SERVER_VERSION.split('.').map(Number);
+
+    const supported = major > minMajor || (major === minMajor && minor >= minMinor);
+    if (!supported) {
+      console.warn(`MongoDB ${version} cannot compute emission trends, which need MongoDB ${MIN_SERVER_VERSION} or later`);
+    }
+    return supported;
+  } catch (error) {
+    console.error('Error reading the MongoDB server version:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  TREND_GRANULARITIES,
+  isValidTimeZone,
+  getBucketStart,
+  parseZonedDate,
+  buildTrendPipeline,
+  buildTrendSeries,
+  aggregateTrendSeries,
+  checkTrendSupport,
+  normalizeTrendOptions,
+  getOrderEmissionTrends
+};
@@ -0,0 +1,152 @@
+// Emission Factor Datasets
+// ----------------------------------------------------------------------
+// Publishing and comparing versions of the factor tables used by
+// totalEmissions.js. Version 0 is the built-in tables.
+
+const EmissionFactorDataset = require('../models/EmissionFactorDataset');
+const { BUILTIN_FACTOR_DATASET, applyFactorDataset } = require('./totalEmissions');
+
+const FACTOR_TABLES = ['food', 'packaging', 'travel', 'recipes'];
+
+// Attempts at publishing when concurrent publishes take the next version first
+const PUBLISH_ATTEMPTS = 3;
+// MongoDB duplicate key error, here another dataset with the same version
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Get a dataset by version
+ * @param {number} version - Dataset version, 0 for the built-in tables
+ * @return {Promise<Object|null>} - Dataset or null when it does not exist
+ */
+async function getFactorDataset(version) {
+  if (version === BUILTIN_FACTOR_DATASET.version) {
+    return BUILTIN_FACTOR_DATASET;
+  }
+  return EmissionFactorDataset.findOne({ version }).lean();
+}
+
+/**
+ * Get the latest published dataset, or the built-in tables when none exists
+ * @return {Promise<Object>} - Dataset
+ */
+async function getLatestFactorDataset() {
+  const latest = await EmissionFactorDataset.findOne().sort({ version: -1 }).lean();
+  return latest || BUILTIN_FACTOR_DATASET;
+}
+
+/**
+ * Get the dataset published before a version
+ * @param {number} version - Dataset version
+ * @return {Promise<Object>} - Previous dataset, the built-in tables for version 1
+ */
+async function getPreviousFactorDataset(version) {
+  const previous = await EmissionFactorDataset.findOne({ version: { $lt: version } })
+    .sort({ version: -1 })
+    .lean();
+  return previous || BUILTIN_FACTOR_DATASET;
+}
+
+/**
+ * List every dataset version without its tables
+ * @return {Promise<Array>} - [{ version, description, sources, publishedBy, createdAt }]
+ */
+async function listFactorDatasets() {
+  const datasets = await EmissionFactorDataset.find()
+    .select('-food -packaging -travel -recipes')
+    .sort({ version: -1 })
+    .lean();
+
+  const { version, description, sources } = BUILTIN_FACTOR_DATASET;
+  return [...datasets, { version, description, sources }];
+}
+
+/**
+ * Publish a new dataset version and start using it
+ * Tables in the input are merged over the latest version, so only changed
+ * entries need to be sent. When another publish takes the next version
+ * first, the input is merged over that one instead.
+ * @param {Object} input - { description, sources, food?, packaging?, travel?, recipes? }
+ * @param {string} userId - Admin publishing the dataset
+ * @return {Promise<Object>} - Published dataset; throws the duplicate key error (code 11000)
+ *                             when every attempt lost the race
+ */
+async function publishFactorDataset(input, userId) {
+  for (let attempt = 1; ; attempt++) {
+    const previous = await getLatestFactorDataset();
+
+    const tables = {};
+    for (const table of FACTOR_TABLES) {
+      tables[table] = { ...previous[table], ...(input[table] || {}) };
+    }
+
+    try {
+      const dataset = await EmissionFactorDataset.create({
+        version: previous.version + 1,
+        description: input.description,
+        sources: input.sources,
+        ...tables,
+        publishedBy: userId
+      });
+
+      applyFactorDataset(dataset.toObject());
+      console.log(`[DEBUG] Published emission factor dataset version ${dataset.version}`);
+      return dataset;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY || attempt >= PUBLISH_ATTEMPTS) throw error;
+      console.warn(`[DEBUG] Emission factor dataset version ${previous.version + 1} was published meanwhile, retrying`);
+    }
+  }
+}
+
+/**
+ * Compare one factor table between two datasets
+ * @param {Object} before - Table in the older dataset
+ * @param {Object} after - Table in the newer dataset
+ * @return {Object} - { added, removed, changed: { key: { from, to } } }
+ */
+function diffTable(before = {}, after = {}) {
+  const diff = { added: {}, removed: {}, changed: {} };
+
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) {
+      diff.added[key] = value;
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      diff.changed[key] = { from: before[key], to: value };
+    }
+  }
+  for (const [key, value] of Object.entries(before)) {
+    if (!(key in after)) {
+      diff.removed[key] = value;
+    }
+  }
+  return diff;
+}
+
+/**
+ * Compare two datasets table by table
+ * @param {Object} before - Older dataset
+ * @param {Object} after - Newer dataset
+ * @return {Object} - { from, to, tables: { food, packaging, travel, recipes } }
+ */
+function diffFactorDatasets(before, after) {
+  const tables = {};
+  for (const table of FACTOR_TABLES) {
+    tables[table] = diffTable(before[table], after[table]);
+  }
+  return {
+    from: before.version,
+    to: after.version,
+    tables
+  };
+}
+
+module.exports = {
+  FACTOR_TABLES,
+  DUPLICATE_KEY,
+  getFactorDataset,
+  getLatestFactorDataset,
+  getPreviousFactorDataset,
+  listFactorDatasets,
+  publishFactorDataset,
+  diffFactorDatasets
+};
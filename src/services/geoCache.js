@@ -0,0 +1,151 @@
+// Geo Cache
+// ----------------------------------------------------------------------
+// Persistent cache in front of the geo providers. Addresses are cached by
+// their normalized text and routes by the rounded coordinate pair and route
+// profile, each with its own TTL (GEOCODE_CACHE_TTL_DAYS, ROUTE_CACHE_TTL_DAYS).
+
+const mongoose = require('mongoose');
+const GeoCache = require('../models/GeoCache');
+
+const DEFAULT_TTL_DAYS = {
+  geocode: 90,
+  route: 30
+};
+
+// Hits and misses since the server started
+const stats = {
+  geocode: { hits: 0, misses: 0 },
+  route: { hits: 0, misses: 0 }
+};
+
+/**
+ * Whether the cache can be used right now
+ * Scripts that run the engine without a database skip the cache instead of
+ * waiting for mongoose to time out.
+ * @return {boolean}
+ */
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Get the TTL of a kind of entry
+ * @param {string} kind - geocode or route
+ * @return {number} - TTL in days
+ */
+function getTtlDays(kind) {
+  const configured = parseFloat(process.env[`${kind.toUpperCase()}_CACHE_TTL_DAYS`]);
+  return configured > 0 ? configured : DEFAULT_TTL_DAYS[kind];
+}
+
+/**
+ * Normalize an address so formatting differences share a cache entry
+ * e.g. "12, M.G. Road,  Bengaluru" -> "12 m g road bengaluru"
+ * @param {string} address - Address string
+ * @return {string} - Cache key
+ */
+function normalizeAddress(address) {
+  return String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Build the cache key of a route
+ * Coordinates are rounded to about 10 m so the same two places share an entry.
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {string} profile - Route profile
+ * @return {string} - Cache key
+ */
+function buildRouteKey(origin, destination, profile) {
+  const point = ({ lat, lng }) => `${Number(lat).toFixed(4)},${Number(lng).toFixed(4)}`;
+  return `${point(origin)}>${point(destination)}:${profile}`;
+}
+
+/**
+ * Read a cached value, counting the hit or miss
+ * @param {string} kind - geocode or route
+ * @param {string} key - Cache key
+ * @return {Promise<Object|null>} - Cached value or null
+ */
+async function getCached(kind, key) {
+  if (!key || !isDatabaseReady()) return null;
+
+  try {
+    const entry = await GeoCache.findOneAndUpdate(
+      { kind, key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+
+    stats[kind][entry ? 'hits' : 'misses'] += 1;
+    return entry ? entry.value : null;
+  } catch (error) {
+    console.error(`Error reading ${kind} cache:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a value in the cache
+ * @param {string} kind - geocode or route
+ * @param {string} key - Cache key
+ * @param {Object} value - Value to cache
+ * @return {Promise<void>}
+ */
+async function setCached(kind, key, value) {
+  if (!key || !isDatabaseReady()) return;
+
+  try {
+    const expiresAt = new Date(Date.now() + getTtlDays(kind) * 24 * 60 * 60 * 1000);
+    await GeoCache.updateOne({ kind, key }, { value, expiresAt, hits: 0 }, { upsert: true });
+  } catch (error) {
+    console.error(`Error writing ${kind} cache:`, error.message);
+  }
+}
+
+/**
+ * Get cache statistics for the admin endpoint
+ * @return {Promise<Object>} - { geocode, route } with entries, hits, misses, hitRate and ttlDays
+ */
+async function getGeoCacheStats() {
+  const counts = await GeoCache.aggregate([
+    { $match: { expiresAt: { $gt: new Date() } } },
+    { $group: { _id: '$kind', entries: { $sum: 1 }, storedHits: { $sum: '$hits' } } }
+  ]);
+
+  const report = {};
+  for (const kind of Object.keys(stats)) {
+    const { hits, misses } = stats[kind];
+    const count = counts.find(entry => entry._id === kind);
+    report[kind] = {
+      entries: count?.entries || 0,
+      // Hits on the entries still cached, across restarts
+      lifetimeHits: count?.storedHits || 0,
+      // Since the server started
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? parseFloat((hits / (hits + misses)).toFixed(2)) : null,
+      ttlDays: getTtlDays(kind)
+    };
+  }
+  return report;
+}
+
+/**
+ * Remove cached entries
+ * @param {string} [kind] - geocode or route, both when omitted
+ * @return {Promise<number>} - Number of entries removed
+ */
+async function clearGeoCache(kind) {
+  const result = await GeoCache.deleteMany(kind ? { kind } : {});
+  return result.deletedCount;
+}
+
+module.exports = {
+  normalizeAddress,
+  buildRouteKey,
+  getCached,
+  setCached,
+  getGeoCacheStats,
+  clearGeoCache
+};
@@ -0,0 +1,232 @@
+// Background Import Jobs
+// ----------------------------------------------------------------------
+// Imports are normalized up front, stored as ImportJob documents with their
+// canonical orders in ImportJobChunk documents, and then persisted one order
+// at a time so progress survives a server restart.
+
+const ImportJob = require('../models/ImportJob');
+const ImportJobChunk = require('../models/ImportJobChunk');
+const { normalizeOrders, persistOrder, countResults } = require('./importPipeline');
+
+// Canonical orders per ImportJobChunk
+const CHUNK_SIZE = 100;
+
+// Jobs running at once across all users; each user's jobs run one after another
+const DEFAULT_CONCURRENCY = 2;
+
+// User id -> ids of the user's jobs waiting to run, oldest first. Users are
+// taken in turn, so one large import does not hold up everyone else's.
+const waitingJobs = new Map();
+// Users with a job running
+const runningUsers = new Set();
+// Ids of every waiting or running job
+const scheduledJobs = new Set();
+
+/**
+ * How many jobs may run at once (IMPORT_JOB_CONCURRENCY)
+ * @return {number}
+ */
+function getImportConcurrency() {
+  const value = parseInt(process.env.IMPORT_JOB_CONCURRENCY, 10);
+  return value > 0 ? value : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Add a job to the in-process queue unless it is already scheduled
+ * @param {string} jobId - ImportJob id
+ * @param {string} userId - Owner of the job
+ */
+function scheduleImportJob(jobId, userId) {
+  const id = jobId.toString();
+  if (scheduledJobs.has(id)) return;
+  scheduledJobs.add(id);
+
+  const user = userId.toString();
+  waitingJobs.set(user, [...(waitingJobs.get(user) || []), id]);
+  startWaitingJobs();
+}
+
+/**
+ * Start waiting jobs while there is capacity, one per user at a time
+ */
+function startWaitingJobs() {
+  for (const [user, jobIds] of waitingJobs) {
+    if (runningUsers.size >= getImportConcurrency()) return;
+    if (runningUsers.has(user)) continue;
+
+    const [id, ...rest] = jobIds;
+    if (rest.length > 0) waitingJobs.set(user, rest);
+    else waitingJobs.delete(user);
+
+    runningUsers.add(user);
+    runImportJob(id)
+      .catch(error => console.error(`Import job ${id} crashed:`, error))
+      .finally(() => {
+        scheduledJobs.delete(id);
+        runningUsers.delete(user);
+
+        // The user's next job goes behind the other users waiting
+        const next = waitingJobs.get(user);
+        if (next) {
+          waitingJobs.delete(user);
+          waitingJobs.set(user, next);
+        }
+        startWaitingJobs();
+      });
+  }
+}
+
+/**
+ * Store a job's canonical orders in chunks
+ * @param {string} jobId - ImportJob id
+ * @param {Array} orders - Canonical orders
+ * @param {number} chunkSize - Orders per chunk
+ * @return {Promise<void>}
+ */
+async function saveImportJobChunks(jobId, orders, chunkSize) {
+  const chunks = [];
+  for (let start = 0; start < orders.length; start += chunkSize) {
+    chunks.push({ job: jobId, index: chunks.length, orders: orders.slice(start, start + chunkSize) });
+  }
+  if (chunks.length > 0) {
+    await ImportJobChunk.insertMany(chunks);
+  }
+}
+
+/**
+ * Normalize a raw payload and queue it as a background import job
+ * @param {string} userId - Owner of the orders
+ * @param {string} extractorId - Registry id, or "auto" to detect the format
+ * @param {Array|Object} ordersData - Raw payload
+ * @return {Promise<Object>} - { job } or { formatError, acceptedFormats? }
+ */
+async function createImportJob(userId, extractorId, ordersData) {
+  const normalized = await normalizeOrders(extractorId, ordersData);
+  if (normalized.formatError) {
+    return normalized;
+  }
+
+  const job = new ImportJob({
+    user: userId,
+    extractor: normalized.extractor,
+    chunkSize: CHUNK_SIZE,
+    total: normalized.orders.length,
+    results: normalized.errors,
+    counts: countResults(normalized.errors),
+    history: normalized.history
+  });
+
+  // The orders are stored first, so a job that can be resumed always has them
+  await saveImportJobChunks(job._id, normalized.orders, CHUNK_SIZE);
+  try {
+    await job.save();
+  } catch (error) {
+    await ImportJobChunk.deleteMany({ job: job._id });
+    throw error;
+  }
+
+  console.log(`[DEBUG] Queued import job ${job._id} with ${job.total} ${normalized.extractor} orders`);
+  scheduleImportJob(job._id, userId);
+  return { job };
+}
+
+/**
+ * Process the remaining orders of a job, recording each outcome as it goes
+ * @param {string} jobId - ImportJob id
+ */
+async function runImportJob(jobId) {
+  const job = await ImportJob.findById(jobId);
+  if (!job || job.status === 'completed' || job.status === 'failed') return;
+
+  await ImportJob.updateOne(
+    { _id: job._id },
+    { status: 'running', startedAt: job.startedAt || new Date() }
+  );
+
+  try {
+    let chunk = null;
+    for (let index = job.cursor; index < job.total; index++) {
+      const chunkIndex = Math.floor(index / job.chunkSize);
+      if (!chunk || chunk.index !== chunkIndex) {
+        chunk = await ImportJobChunk.findOne({ job: job._id, index: chunkIndex }).lean();
+        if (!chunk) throw new Error(`Orders from ${index + 1} on are missing`);
+      }
+
+      const canonical = chunk.orders[index - chunkIndex * job.chunkSize];
+      const { order, ...entry } = await persistOrder(job.user, canonical);
+
+      await ImportJob.updateOne(
+        { _id: job._id },
+        {
+          $push: { results: { ...entry, order: order ? order._id : undefined } },
+          $inc: { [`counts.${entry.status}`]: 1 },
+          $set: { cursor: index + 1 }
+        }
+      );
+    }
+
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { status: 'completed', completedAt: new Date() }
+    );
+    console.log(`[DEBUG] Import job ${job._id} completed`);
+  } catch (error) {
+    console.error(`[DEBUG] Import job ${job._id} failed:`, error);
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { status: 'failed', error: error.message, completedAt: new Date() }
+    );
+  }
+
+  // The canonical orders are no longer needed once the job has finished; failed jobs are not resumed
+  await ImportJobChunk.deleteMany({ job: job._id });
+}
+
+/**
+ * Re-queue jobs that were queued or mid-run when the server stopped
+ * @return {Promise<number>} - Number of resumed jobs
+ */
+async function resumePendingImportJobs() {
+  const pending = await ImportJob.find({ status: { $in: ['queued', 'running'] } })
+    .select('_id user')
+    .sort({ createdAt: 1 });
+
+  pending.forEach(job => scheduleImportJob(job._id, job.user));
+  if (pending.length > 0) {
+    console.log(`Resuming ${pending.length} pending import jobs`);
+  }
+  return pending.length;
+}
+
+/**
+ * Summarize a job for API responses
+ * @param {Object} job - ImportJob document
+ * @return {Object} - Job status, progress, counts, history completeness and per-order results
+ */
+function formatImportJob(job) {
+  return {
+    id: job._id,
+    extractor: job.extractor,
+    status: job.status,
+    progress: {
+      processed: job.cursor,
+      total: job.total,
+      percentage: job.total > 0 ? Math.round((job.cursor / job.total) * 100) : 100
+    },
+    counts: job.counts,
+    history: job.history,
+    results: job.results,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+module.exports = {
+  saveImportJobChunks,
+  createImportJob,
+  runImportJob,
+  resumePendingImportJobs,
+  formatImportJob
+};
@@ -0,0 +1,507 @@
+// Order Import Pipeline
+// ----------------------------------------------------------------------
+// Registered extractors normalize raw payloads into a canonical order shape,
+// then a shared step computes emissions and persists the orders.
+
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const { detectFormat, getExtractor, getAcceptedFormats } = require('../extractors');
+const { calculateFoodEmission, getTravelDistanceKm } = require('./totalEmissions');
+const { classifyItem } = require('./dietClassifier');
+const { resolveTransportMode } = require('./deliveryVehicles');
+const { findOrCreateRestaurant, getCoords } = require('./restaurants');
+
+/**
+ * Canonical order shape produced for every imported order:
+ * {
+ *   platform, orderId, restaurantName, orderDate (Date), orderAmount, orderStatus,
+ *   platformRestaurantId,       // optional, the platform's own id for the restaurant
+ *   items: [{ name, quantity, price }],
+ *   dishString,                 // "2 x Paneer Tikka, 1 x Naan"
+ *   deliveryAddress, restaurantAddress,
+ *   restaurantCoords,           // { lat, lng } or null
+ *   restaurantCity,             // optional city name, e.g. "Bangalore"
+ *   cuisines,                   // optional cuisines reported by the platform
+ *   distanceKm,                 // known delivery distance or null
+ *   packagingType,              // optional, e.g. "paper" for manually entered orders
+ *   transportMode,              // optional delivery vehicle; otherwise the user's delivery vehicle
+ *                               // preference for the platform/city applies, then a motorcycle
+ *   distanceSource,             // optional provenance of distanceKm, e.g. "fallback_distance"
+ *   details                     // platform specific Order fields (rating, locality, ...)
+ * }
+ */
+
+/**
+ * Parse an order date
+ * There is no fallback date: one that changed on every import would change the
+ * order's sourceHash, so re-imports would never be recognised as unchanged.
+ * @param {string|Date} value - Raw date value
+ * @return {Date|null} - Parsed date, null when missing or invalid
+ */
+function parseOrderDate(value) {
+  const orderDate = value ? new Date(value) : null;
+  if (!orderDate || isNaN(orderDate.getTime())) {
+    console.error('Invalid date format:', value);
+    return null;
+  }
+  return orderDate;
+}
+
+/**
+ * Build a dish string ("2 x Paneer Tikka, 1 x Naan") from order items
+ * @param {Array} items - Order items with name and quantity
+ * @return {string} - Dish string for calculateFoodEmission
+ */
+function buildDishString(items) {
+  return (items || [])
+    .filter(item => item.name)
+    .map(item => `${item.quantity || 1} x ${item.name}`)
+    .join(', ');
+}
+
+/**
+ * Convert an order returned by a platform extractor into a canonical order
+ * @param {Object} orderData - Order returned by a platform extractor
+ * @return {Object} - Canonical order
+ */
+function normalizeExtractedOrder(orderData) {
+  if (!orderData.orderId || !orderData.restaurantName) {
+    throw new Error('missing required fields');
+  }
+
+  const orderDate = parseOrderDate(orderData.orderDate);
+  if (!orderDate) {
+    throw new Error('missing or invalid order date');
+  }
+
+  const items = orderData.items || [];
+
+  return {
+    platform: orderData.platform,
+    orderId: orderData.orderId,
+    restaurantName: orderData.restaurantName,
+    platformRestaurantId: orderData.platformRestaurantId,
+    orderDate,
+    orderAmount: orderData.orderAmount || 0,
+    orderStatus: orderData.orderStatus || 'Delivered',
+    items,
+    dishString: orderData.dishString || buildDishString(items),
+    deliveryAddress: orderData.deliveryAddress || '',
+    restaurantAddress: orderData.restaurantAddress || '',
+    restaurantCoords: orderData.restaurantCoords || null,
+    restaurantCity: orderData.restaurantCity || '',
+    cuisines: orderData.cuisines || [],
+    distanceKm: orderData.distanceKm || null,
+    distanceSource: orderData.distanceSource,
+    packagingType: orderData.packagingType,
+    transportMode: orderData.transportMode,
+    details: orderData.details || {}
+  };
+}
+
+/**
+ * Apply a per-order normalizer, collecting failures instead of aborting
+ * @param {Array} rawOrders - Raw orders
+ * @param {Function} normalize - Per-order normalizer
+ * @return {Object} - { orders, errors } where errors are failed report entries
+ */
+function normalizeEach(rawOrders, normalize) {
+  const orders = [];
+  const errors = [];
+  for (const orderData of rawOrders) {
+    try {
+      orders.push(normalize(orderData));
+    } catch (error) {
+      const orderId = orderData?.orderId || orderData?.order_id || orderData?.id;
+      errors.push({
+        orderId: orderId ? orderId.toString() : null,
+        status: 'failed',
+        reason: error.message
+      });
+    }
+  }
+  return { orders, errors };
+}
+
+/**
+ * Run a registered extractor and normalize its output
+ * @param {Object} extractor - Extractor module from the registry
+ * @param {Array|Object} ordersData - Raw payload
+ * @return {Promise<Object>} - { orders, errors, history? } or { formatError }
+ */
+async function normalizeWithExtractor(extractor, ordersData) {
+  const rejected = [];
+  const extracted = await extractor.parse(ordersData, rejected);
+
+  if (extracted.length === 0 && rejected.length === 0) {
+    return { formatError: `No valid ${extractor.name} orders found in the provided data` };
+  }
+
+  const { orders, errors } = normalizeEach(extracted, normalizeExtractedOrder);
+  const rejectedEntries = rejected.map(({ orderId, platform, reason }) => ({
+    orderId,
+    platform,
+    status: 'failed',
+    reason
+  }));
+
+  const result = { orders, errors: [...rejectedEntries, ...errors] };
+  if (extractor.assessHistory) {
+    // Multi-page histories report whether every page between newest and oldest was supplied
+    result.history = extractor.assessHistory(ordersData);
+  }
+  return result;
+}
+
+/**
+ * Normalize a raw payload with a registered extractor
+ * "auto" fingerprints the payload and dispatches to the matching extractor.
+ * @param {string} extractorId - Registry id such as "zomato", "swiggy", "canonical", or "auto"
+ * @param {Array|Object} ordersData - Raw payload
+ * @return {Promise<Object>} - { extractor, orders, errors, history? } or { formatError, acceptedFormats? }
+ */
+async function normalizeOrders(extractorId, ordersData) {
+  let extractor;
+  if (extractorId === 'auto') {
+    extractor = detectFormat(ordersData);
+    if (!extractor) {
+      return {
+        formatError: 'Unrecognized order format. Paste one of the accepted formats',
+        acceptedFormats: getAcceptedFormats()
+      };
+    }
+    console.log(`[DEBUG] Detected ${extractor.name} import format`);
+  } else {
+    extractor = getExtractor(extractorId);
+    if (!extractor) {
+      throw new Error(`No extractor registered for ${extractorId}`);
+    }
+  }
+
+  const result = await normalizeWithExtractor(extractor, ordersData);
+  return result.formatError ? result : { ...result, extractor: extractor.id };
+}
+
+/**
+ * Attach each dish's computed emission, recipe and ingredient grams to the order items
+ * Dishes are matched to items by name; items without a match keep null values.
+ * Every item is given a diet category unless the user set one.
+ * @param {Array} items - Order items
+ * @param {Array} dishes - details.dishes from calculateFoodEmission
+ * @return {Array} - Items with emission (kg CO₂e for the line), recipe, source, portion, ingredients (grams per unit)
+ *                   and category
+ */
+function attachItemEmissions(items, dishes) {
+  // Orders stored with only a dish string get their items from the parsed dishes
+  if (!items || items.length === 0) {
+    items = dishes.map(dish => ({ name: dish.name, quantity: dish.count, price: null }));
+  }
+
+  const unmatched = [...dishes];
+  return items.map(item => {
+    const index = unmatched.findIndex(dish => dish.name === (item.name || '').toLowerCase().trim());
+    const dish = index === -1 ? null : unmatched.splice(index, 1)[0];
+    const annotated = dish ? {
+      ...item,
+      emission: parseFloat(dish.totalEmission),
+      recipe: dish.recipe,
+      source: dish.source,
+      portion: dish.portion,
+      ingredients: dish.ingredients
+    } : { ...item, emission: null, recipe: null, source: null, portion: null, ingredients: null };
+
+    if (item.category && item.categorySource === 'user') {
+      return annotated;
+    }
+    const category = classifyItem(annotated);
+    return { ...annotated, category: category || undefined, categorySource: category ? 'classifier' : undefined };
+  });
+}
+
+/**
+ * Compute emissionData and per-item emissions for a canonical order
+ * The travel distance is taken from the order when known, otherwise routed
+ * from the delivery address to the restaurant coordinates.
+ * @param {Object} order - Canonical order
+ * @param {string} [userId] - Owner of the order, whose dish overrides and delivery vehicles apply
+ * @return {Promise<Object>} - { emissionData, items } for the Order model
+ */
+async function computeOrderEmissions(order, userId) {
+  const transport = await resolveTransportMode(order, userId);
+
+  let travelDetails;
+  if (order.distanceKm) {
+    travelDetails = { distance: order.distanceKm, transportType: transport.transportMode, source: order.distanceSource };
+  } else {
+    travelDetails = await getTravelDistanceKm(order.deliveryAddress, order.restaurantCoords, transport.transportMode);
+  }
+
+  const emissions = await calculateFoodEmission(order.dishString, travelDetails, order.packagingType, {
+    userId,
+    restaurantName: order.restaurantName
+  });
+  const toRange = ({ low, high, source }) => ({ low: parseFloat(low), high: parseFloat(high), source });
+
+  return {
+    emissionData: {
+      transportEmission: parseFloat(emissions.travel),
+      packagingEmission: parseFloat(emissions.packaging),
+      foodEmission: parseFloat(emissions.food),
+      totalEmission: parseFloat(emissions.total),
+      factorVersion: emissions.factorVersion,
+      factors: {
+        transportMode: emissions.transportType,
+        transportModeSource: transport.source,
+        // Restaurant to customer; trip.distance is what the order is charged for under the trip shape
+        distance: parseFloat(emissions.travelDistance),
+        trip: emissions.trip,
+        packagingType: emissions.details.packagingType || 'plastic',
+        foodCategories: Object.keys(emissions.details.ingredients)
+      },
+      ranges: {
+        food: toRange(emissions.uncertainty.food),
+        packaging: toRange(emissions.uncertainty.packaging),
+        travel: toRange(emissions.uncertainty.travel),
+        total: toRange(emissions.uncertainty.total)
+      },
+      confidence: emissions.uncertainty.confidence
+    },
+    items: attachItemEmissions(order.items, emissions.details.dishes)
+  };
+}
+
+/**
+ * Build the engine input for an order that is already stored
+ * Uses the stored dish string, distance, transport mode and packaging so the
+ * order can be recalculated without the original import payload. A transport
+ * mode that was not set on the order is resolved again, so changed delivery
+ * vehicle preferences apply.
+ * @param {Object} order - Order document
+ * @return {Object} - Canonical order fields used by computeOrderEmissions
+ */
+function buildEmissionInput(order) {
+  const emissionData = order.emissionData || {};
+  const factors = emissionData.factors || {};
+  const packagingSource = emissionData.ranges?.packaging?.source;
+
+  // Orders stored before the source was recorded only had a mode of their own if the user edited it
+  const transportModeSet = factors.transportModeSource
+    ? factors.transportModeSource === 'order'
+    : (order.revisions || []).some(revision => revision.changes.some(change => change.field === 'transportMode'));
+
+  // Packaging is assumed to be plastic unless it was given with the order
+  const packagingAssumed = packagingSource === 'default_packaging' ||
+    (!packagingSource && factors.packagingType === 'plastic');
+
+  return {
+    items: (order.items || []).map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      category: item.category,
+      categorySource: item.categorySource,
+      isVeg: item.isVeg
+    })),
+    platform: order.platform,
+    restaurantName: order.restaurantName,
+    dishString: order.dishString || buildDishString(order.items),
+    distanceKm: factors.distance || null,
+    distanceSource: emissionData.ranges?.travel?.source,
+    transportMode: transportModeSet ? factors.transportMode : undefined,
+    packagingType: packagingAssumed ? undefined : factors.packagingType,
+    deliveryAddress: order.deliveryAddress,
+    restaurantAddress: order.restaurantAddress,
+    restaurantCoords: null
+  };
+}
+
+/**
+ * Fingerprint a canonical order so unchanged re-imports can be skipped
+ * @param {Object} order - Canonical order
+ * @return {string} - SHA-1 hex digest of the order contents
+ */
+function hashCanonicalOrder(order) {
+  return crypto.createHash('sha1').update(JSON.stringify(order)).digest('hex');
+}
+
+/**
+ * Carry a user's corrections of a stored order over to a re-import of it
+ * A changed platform payload replaces the order, but the fields the user
+ * edited (services/orderEdits.js) keep the user's values: the items, the
+ * distance and the packaging when they were edited, a transport mode set on
+ * the order unless the payload now has its own, and item categories the
+ * user chose.
+ * @param {Object} canonical - Re-imported canonical order
+ * @param {Object} existing - Stored order
+ * @return {Object} - Canonical order to store
+ */
+function keepUserEdits(canonical, existing) {
+  const edited = new Set((existing.revisions || []).flatMap(revision => revision.changes.map(change => change.field)));
+  const stored = buildEmissionInput(existing);
+  const merged = { ...canonical };
+
+  if (edited.has('items')) {
+    merged.items = stored.items;
+    merged.dishString = stored.dishString;
+  } else {
+    merged.items = (canonical.items || []).map(item => {
+      const own = stored.items.find(storedItem => storedItem.name === item.name && storedItem.categorySource === 'user');
+      return own ? { ...item, category: own.category, categorySource: 'user' } : item;
+    });
+  }
+
+  if (edited.has('distanceKm') && stored.distanceKm) {
+    merged.distanceKm = stored.distanceKm;
+    merged.distanceSource = stored.distanceSource;
+  }
+  // Only set when the mode belongs to the order rather than the user's preferences
+  if (stored.transportMode && (edited.has('transportMode') || !canonical.transportMode)) {
+    merged.transportMode = stored.transportMode;
+  }
+  if (edited.has('packagingType') && stored.packagingType) {
+    merged.packagingType = stored.packagingType;
+  }
+
+  return merged;
+}
+
+/**
+ * Find or create the shared restaurant record of a canonical order
+ * An order is still stored when its restaurant cannot be linked.
+ * @param {Object} canonical - Canonical order
+ * @return {Promise<Object|null>} - Restaurant document or null
+ */
+async function linkRestaurant(canonical) {
+  try {
+    return await findOrCreateRestaurant(canonical);
+  } catch (error) {
+    console.error(`[DEBUG] Could not link restaurant "${canonical.restaurantName}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Upsert one canonical order for a user, keyed by (user, platform, orderId)
+ * @param {string} userId - Owner of the order
+ * @param {Object} canonical - Canonical order
+ * @return {Promise<Object>} - Report entry { orderId, platform, status, reason?, order? }
+ */
+async function persistOrder(userId, canonical) {
+  const entry = {
+    orderId: canonical.orderId,
+    platform: canonical.platform
+  };
+
+  try {
+    const sourceHash = hashCanonicalOrder(canonical);
+    const existing = await Order.findOne({
+      user: userId,
+      platform: canonical.platform,
+      orderId: canonical.orderId
+    });
+
+    if (existing && existing.sourceHash === sourceHash) {
+      return { ...entry, status: 'unchanged', order: existing };
+    }
+
+    const restaurant = await linkRestaurant(canonical);
+    const input = existing ? keepUserEdits(canonical, existing) : canonical;
+    const { emissionData, items } = await computeOrderEmissions({
+      ...input,
+      // A restaurant located by an earlier order does not need geocoding again
+      restaurantCoords: canonical.restaurantCoords || getCoords(restaurant?.location)
+    }, userId);
+    const fields = {
+      ...canonical.details,
+      user: userId,
+      platform: canonical.platform,
+      orderId: canonical.orderId,
+      restaurantName: canonical.restaurantName,
+      restaurant: restaurant?._id,
+      platformRestaurantId: canonical.platformRestaurantId,
+      orderDate: canonical.orderDate,
+      orderAmount: canonical.orderAmount,
+      orderStatus: canonical.orderStatus,
+      items,
+      dishString: input.dishString,
+      deliveryAddress: canonical.deliveryAddress,
+      restaurantAddress: canonical.restaurantAddress,
+      sourceHash,
+      emissionData
+    };
+
+    const order = existing || new Order();
+    order.set(fields);
+    await order.save();
+    console.log(`[DEBUG] ${canonical.platform} order ${existing ? 'updated' : 'created'}: ${order._id}`);
+
+    return { ...entry, status: existing ? 'updated' : 'created', order };
+  } catch (error) {
+    console.error(`[DEBUG] Error processing order ${canonical.orderId}:`, error);
+    return { ...entry, status: 'failed', reason: error.message };
+  }
+}
+
+/**
+ * Compute emissions for canonical orders and upsert them for a user
+ * @param {string} userId - Owner of the orders
+ * @param {Array} orders - Canonical orders
+ * @return {Promise<Array>} - One report entry per order
+ */
+async function persistOrders(userId, orders) {
+  const results = [];
+  for (const canonical of orders) {
+    results.push(await persistOrder(userId, canonical));
+  }
+  return results;
+}
+
+/**
+ * Summarize report entries into per-status counts
+ * @param {Array} results - Report entries
+ * @return {Object} - { created, updated, unchanged, failed }
+ */
+function countResults(results) {
+  const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+  for (const result of results) {
+    counts[result.status] += 1;
+  }
+  return counts;
+}
+
+/**
+ * Run the full import pipeline for a raw payload
+ * @param {string} userId - Owner of the orders
+ * @param {string} extractorId - Registry id, or "auto" to detect the format
+ * @param {Array|Object} ordersData - Raw payload
+ * @return {Promise<Object>} - { normalizedCount, results, counts, history } or { formatError }
+ */
+async function importOrders(userId, extractorId, ordersData) {
+  const normalized = await normalizeOrders(extractorId, ordersData);
+  if (normalized.formatError) {
+    return normalized;
+  }
+
+  console.log(`[DEBUG] Normalized ${normalized.orders.length} ${normalized.extractor} orders (${normalized.errors.length} rejected)`);
+  const persisted = await persistOrders(userId, normalized.orders);
+  const results = [...normalized.errors, ...persisted];
+
+  return {
+    normalizedCount: normalized.orders.length,
+    results,
+    counts: countResults(results),
+    history: normalized.history || null
+  };
+}
+
+module.exports = {
+  importOrders,
+  normalizeOrders,
+  computeOrderEmissions,
+  buildEmissionInput,
+  persistOrder,
+  persistOrders,
+  countResults,
+  parseOrderDate,
+  buildDishString
+};
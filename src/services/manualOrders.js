@@ -0,0 +1,71 @@
+// Manual Orders
+// ----------------------------------------------------------------------
+// Meals ordered outside the supported platforms are entered by hand and
+// stored through the same pipeline as imported orders.
+
+const mongoose = require('mongoose');
+const { buildDishString, parseOrderDate, persistOrder } = require('./importPipeline');
+const { getCoordinatesFromAddress } = require('./totalEmissions');
+
+const MANUAL_PLATFORM = 'Manual';
+
+/**
+ * Build a canonical order from validated manual entry input
+ * @param {Object} input - { restaurantName, items, orderDate?, orderAmount?, distanceKm?,
+ *                          deliveryAddress?, restaurantAddress?, transportMode?, packagingType? }
+ * @return {Promise<Object>} - Canonical order
+ */
+async function buildManualOrder(input) {
+  const items = input.items.map(item => ({
+    name: item.name.trim(),
+    quantity: parseInt(item.quantity) || 1,
+    price: item.price != null ? parseFloat(item.price) : null
+  }));
+
+  const distanceKm = input.distanceKm != null ? parseFloat(input.distanceKm) : null;
+
+  // Without a known distance the route is measured from the restaurant's location
+  let restaurantCoords = null;
+  if (!distanceKm && input.restaurantAddress) {
+    restaurantCoords = await getCoordinatesFromAddress(input.restaurantAddress);
+  }
+
+  const orderAmount = input.orderAmount != null
+    ? parseFloat(input.orderAmount)
+    : items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0);
+
+  return {
+    platform: MANUAL_PLATFORM,
+    orderId: `manual-${new mongoose.Types.ObjectId()}`,
+    restaurantName: input.restaurantName.trim(),
+    orderDate: (input.orderDate && parseOrderDate(input.orderDate)) || new Date(),
+    orderAmount,
+    orderStatus: 'Delivered',
+    items,
+    dishString: buildDishString(items),
+    deliveryAddress: input.deliveryAddress || '',
+    restaurantAddress: input.restaurantAddress || '',
+    restaurantCoords,
+    distanceKm,
+    transportMode: input.transportMode,
+    packagingType: input.packagingType,
+    details: {}
+  };
+}
+
+/**
+ * Create a manually entered order with emissions from the shared engine
+ * @param {string} userId - Owner of the order
+ * @param {Object} input - Validated request body
+ * @return {Promise<Object>} - Report entry { orderId, platform, status, reason?, order? }
+ */
+async function createManualOrder(userId, input) {
+  const canonical = await buildManualOrder(input);
+  return persistOrder(userId, canonical);
+}
+
+module.exports = {
+  MANUAL_PLATFORM,
+  buildManualOrder,
+  createManualOrder
+};
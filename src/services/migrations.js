@@ -0,0 +1,51 @@
+// Database Migrations
+// ----------------------------------------------------------------------
+// Schema changes Mongoose does not apply by itself, run at startup. Each
+// one is safe to run again on a database that already has it.
+
+const Order = require('../models/Order');
+
+// Indexes that newer ones replaced; Mongoose builds new indexes but never drops old ones
+const LEGACY_INDEXES = [
+  // Order ids were unique per user until they became unique per user and platform
+  { model: Order, name: 'user_1_orderId_1' }
+];
+
+// Server error codes meaning there is nothing to drop
+const INDEX_NOT_FOUND = 27;
+const NAMESPACE_NOT_FOUND = 26;
+
+/**
+ * Drop indexes that newer ones replaced
+ * @return {Promise<Array>} - Names of the indexes dropped
+ */
+async function dropLegacyIndexes() {
+  const dropped = [];
+
+  for (const { model, name } of LEGACY_INDEXES) {
+    try {
+      await model.collection.dropIndex(name);
+      dropped.push(name);
+      console.log(`[DEBUG] Dropped legacy index ${name} from ${model.collection.collectionName}`);
+    } catch (error) {
+      if (![INDEX_NOT_FOUND, NAMESPACE_NOT_FOUND].includes(error.code)) {
+        console.error(`Error dropping legacy index ${name}:`, error.message);
+      }
+    }
+  }
+
+  return dropped;
+}
+
+/**
+ * Apply every migration
+ * @return {Promise<void>}
+ */
+async function runMigrations() {
+  await dropLegacyIndexes();
+}
+
+module.exports = {
+  dropLegacyIndexes,
+  runMigrations
+};
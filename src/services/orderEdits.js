@@ -0,0 +1,120 @@
+// Order Edits
+// ----------------------------------------------------------------------
+// Applies user corrections to a stored order, recomputes its emissions
+// and records what changed in the order's revision history.
+
+const { buildDishString, buildEmissionInput, computeOrderEmissions } = require('./importPipeline');
+const AIService = require('./aiService');
+
+// Fields a user may correct after an order was imported or entered
+const EDITABLE_FIELDS = ['items', 'distanceKm', 'transportMode', 'packagingType'];
+
+/**
+ * Read the current value of every editable field from an order
+ * @param {Object} order - Order document
+ * @return {Object} - { items, distanceKm, transportMode, packagingType }
+ */
+function getEditableValues(order) {
+  const factors = order.emissionData?.factors || {};
+  return {
+    items: (order.items || []).map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      category: item.category,
+      categorySource: item.categorySource,
+      isVeg: item.isVeg
+    })),
+    distanceKm: factors.distance,
+    transportMode: factors.transportMode,
+    packagingType: factors.packagingType
+  };
+}
+
+/**
+ * Normalize edited items to the Order item shape
+ * A category the user changed is kept as theirs; other items are classified again.
+ * @param {Array} items - Items from the request body
+ * @param {Array} currentItems - Items before the edit, whose platform veg flags are kept
+ * @return {Array} - Order items
+ */
+function normalizeItems(items, currentItems) {
+  return items.map(item => {
+    const name = item.name.trim();
+    const current = currentItems.find(existing => existing.name === name);
+    const userCategory = item.category && (item.category !== current?.category || current?.categorySource === 'user');
+    return {
+      name,
+      quantity: parseInt(item.quantity) || 1,
+      price: item.price != null ? parseFloat(item.price) : null,
+      category: userCategory ? item.category : current?.category,
+      categorySource: userCategory ? 'user' : current?.categorySource,
+      isVeg: current?.isVeg
+    };
+  });
+}
+
+/**
+ * Apply validated edits to an order and recompute its emissions
+ * @param {Object} order - Order document
+ * @param {Object} edits - Validated request body
+ * @param {string} userId - User making the edit
+ * @return {Promise<Object>} - { order, changes }
+ */
+async function updateOrder(order, edits, userId) {
+  const current = getEditableValues(order);
+  const next = { ...current };
+
+  for (const field of EDITABLE_FIELDS) {
+    if (edits[field] === undefined) continue;
+    next[field] = field === 'items' ? normalizeItems(edits[field], current.items)
+      : field === 'distanceKm' ? parseFloat(edits[field])
+      : edits[field];
+  }
+
+  const changes = EDITABLE_FIELDS
+    .filter(field => JSON.stringify(current[field]) !== JSON.stringify(next[field]))
+    .map(field => ({ field, from: current[field], to: next[field] }));
+
+  if (changes.length === 0) {
+    return { order, changes };
+  }
+
+  const dishString = buildDishString(next.items);
+  const { emissionData, items } = await computeOrderEmissions({
+    ...buildEmissionInput(order),
+    items: next.items,
+    dishString,
+    distanceKm: next.distanceKm,
+    // A mode set here belongs to the order; null goes back to the user's delivery vehicle preferences
+    ...(edits.transportMode !== undefined && { transportMode: next.transportMode }),
+    ...(edits.distanceKm !== undefined && {
+      // A distance entered by the user is treated as measured
+      distanceSource: 'measured_distance'
+    }),
+    ...(edits.packagingType !== undefined && { packagingType: next.packagingType })
+  }, order.user);
+
+  const previousTotalEmission = order.emissionData?.totalEmission;
+  order.items = items;
+  order.dishString = dishString;
+  order.emissionData = emissionData;
+  order.revisions.push({
+    editedBy: userId,
+    changes,
+    previousTotalEmission,
+    totalEmission: emissionData.totalEmission
+  });
+  await order.save();
+  console.log(`[DEBUG] Order ${order._id} edited: ${changes.map(change => change.field).join(', ')}`);
+
+  // Recommendations were generated from the old emissions
+  await AIService.invalidateOrderRecommendations(order);
+
+  return { order, changes };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  updateOrder
+};
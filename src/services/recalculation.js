@@ -0,0 +1,133 @@
+// Emission Recalculation
+// ----------------------------------------------------------------------
+// Stored emissionData is a snapshot of the factors at import time. After a
+// factor is corrected, this re-runs the engine over stored orders using their
+// dish strings, distances, transport modes and packaging, picking up any
+// dish overrides saved since. Orders stored before restaurants were tracked
+// are linked to their restaurant on the way. Runs as a background job, see
+// services/recalculationJobs.js.
+
+const Order = require('../models/Order');
+const { buildEmissionInput, computeOrderEmissions } = require('./importPipeline');
+const AIService = require('./aiService');
+const { findRestaurantForStoredOrder } = require('./restaurants');
+
+// emissionData fields that tell whether a recalculation changed an order
+const COMPARED_FIELDS = [
+  'totalEmission',
+  'transportEmission',
+  'packagingEmission',
+  'foodEmission',
+  'factorVersion',
+  'confidence',
+  'factors.transportMode',
+  'factors.transportModeSource',
+  'factors.distance',
+  'factors.trip.shape',
+  'factors.trip.distance',
+  'factors.packagingType',
+  ...['food', 'packaging', 'travel', 'total'].flatMap(part => [
+    `ranges.${part}.low`,
+    `ranges.${part}.high`,
+    `ranges.${part}.source`
+  ])
+];
+
+// Item fields compared for the same purpose
+const COMPARED_ITEM_FIELDS = ['emission', 'recipe', 'source', 'category'];
+
+// Numbers closer than this are equal; stored values went through parseFloat
+const NUMBER_TOLERANCE = 1e-6;
+
+/**
+ * Read a dotted path such as "factors.trip.distance"
+ * @param {Object} object - Object to read
+ * @param {string} path - Dotted path
+ * @return {*} - Value, undefined when any part is missing
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => value == null ? undefined : value[key], object);
+}
+
+/**
+ * Whether two stored values are the same, treating missing values alike
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @return {boolean}
+ */
+function isSameValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) < NUMBER_TOLERANCE;
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Whether recalculated emissions differ from the stored ones
+ * Compares the fields one by one, so the order of keys in the stored
+ * document does not matter.
+ * @param {Object} stored - Order as a plain object
+ * @param {Object} emissionData - Recalculated emissionData
+ * @param {Array} items - Recalculated items
+ * @return {boolean}
+ */
+function hasEmissionChanged(stored, emissionData, items) {
+  if (COMPARED_FIELDS.some(field => !isSameValue(getPath(stored.emissionData, field), getPath(emissionData, field)))) {
+    return true;
+  }
+
+  const storedItems = stored.items || [];
+  return storedItems.length !== items.length ||
+    items.some((item, index) => COMPARED_ITEM_FIELDS.some(field => !isSameValue(storedItems[index][field], item[field])));
+}
+
+/**
+ * Recalculate one order's emissions
+ * @param {Object} order - Order document
+ * @param {boolean} dryRun - Report the delta without saving
+ * @return {Promise<Object>} - Delta entry for the report
+ */
+async function recalculateOrder(order, dryRun) {
+  const entry = {
+    id: order._id,
+    orderId: order.orderId,
+    platform: order.platform,
+    previousTotalEmission: order.emissionData?.totalEmission || 0
+  };
+
+  try {
+    const { emissionData, items } = await computeOrderEmissions(buildEmissionInput(order), order.user);
+    const delta = parseFloat((emissionData.totalEmission - entry.previousTotalEmission).toFixed(2));
+    const changed = hasEmissionChanged(order.toObject(), emissionData, items);
+
+    const restaurant = !order.restaurant && !dryRun
+      ? await findRestaurantForStoredOrder(order).catch(error => {
+        console.error(`[DEBUG] Could not link restaurant of order ${order._id}:`, error.message);
+        return null;
+      })
+      : null;
+    if (restaurant) {
+      await Order.updateOne({ _id: order._id }, { restaurant: restaurant._id });
+    }
+
+    if (changed && !dryRun) {
+      await Order.updateOne({ _id: order._id }, { emissionData, items });
+      await AIService.invalidateOrderRecommendations(order);
+    }
+
+    return {
+      ...entry,
+      totalEmission: emissionData.totalEmission,
+      delta,
+      status: changed ? 'changed' : 'unchanged'
+    };
+  } catch (error) {
+    console.error(`[DEBUG] Error recalculating order ${order._id}:`, error);
+    return { ...entry, status: 'failed', reason: error.message };
+  }
+}
+
+module.exports = {
+  hasEmissionChanged,
+  recalculateOrder
+};
@@ -0,0 +1,200 @@
+// Background Recalculation Jobs
+// ----------------------------------------------------------------------
+// Recalculations go over every stored order, so they run in the background
+// as RecalculationJob documents with progress and a summary of the deltas,
+// and resume where they stopped after a server restart.
+
+const RecalculationJob = require('../models/RecalculationJob');
+const Order = require('../models/Order');
+const { recalculateOrder } = require('./recalculation');
+
+// Orders kept in a job's largestDeltas and failures
+const LARGEST_DELTAS_LIMIT = 20;
+const FAILURES_LIMIT = 50;
+
+// Jobs run one after another; each one already touches every order in its scope
+let queue = Promise.resolve();
+// Job id -> promise settled when the job has run
+const scheduledJobs = new Map();
+
+/**
+ * Add a job to the in-process queue unless it is already scheduled
+ * @param {string} jobId - RecalculationJob id
+ */
+function scheduleRecalculationJob(jobId) {
+  const id = jobId.toString();
+  if (scheduledJobs.has(id)) return;
+
+  queue = queue
+    .then(() => runRecalculationJob(id))
+    .catch(error => console.error(`Recalculation job ${id} crashed:`, error))
+    .finally(() => scheduledJobs.delete(id));
+  scheduledJobs.set(id, queue);
+}
+
+/**
+ * Wait until a scheduled job has run
+ * @param {string} jobId - RecalculationJob id
+ * @return {Promise<void>}
+ */
+async function waitForRecalculationJob(jobId) {
+  await scheduledJobs.get(jobId.toString());
+}
+
+/**
+ * Queue a recalculation of stored order emissions
+ * @param {Object} options - { userId?: only this user's orders, dryRun?: report without saving, requestedBy? }
+ * @return {Promise<Object>} - RecalculationJob document
+ */
+async function createRecalculationJob({ userId, dryRun = false, requestedBy } = {}) {
+  const job = await RecalculationJob.create({
+    requestedBy,
+    user: userId,
+    dryRun,
+    total: await Order.countDocuments(userId ? { user: userId } : {})
+  });
+
+  console.log(`[DEBUG] Queued recalculation job ${job._id} for ${userId ? `user ${userId}` : 'all users'}${dryRun ? ' (dry run)' : ''}`);
+  scheduleRecalculationJob(job._id);
+  return job;
+}
+
+/**
+ * Build the update that records one order's outcome on its job
+ * @param {Object} entry - From recalculateOrder
+ * @return {Object} - Update for RecalculationJob.updateOne
+ */
+function buildProgressUpdate(entry) {
+  const update = {
+    $set: { lastOrder: entry.id },
+    $inc: { processed: 1, [`counts.${entry.status}`]: 1, totalDelta: entry.delta || 0 }
+  };
+
+  if (entry.status === 'failed') {
+    update.$push = {
+      failures: {
+        $each: [{ order: entry.id, orderId: entry.orderId, platform: entry.platform, reason: entry.reason }],
+        $slice: FAILURES_LIMIT
+      }
+    };
+  } else if (entry.delta) {
+    update.$push = {
+      largestDeltas: {
+        $each: [{
+          order: entry.id,
+          orderId: entry.orderId,
+          platform: entry.platform,
+          previousTotalEmission: entry.previousTotalEmission,
+          totalEmission: entry.totalEmission,
+          delta: entry.delta,
+          magnitude: Math.abs(entry.delta)
+        }],
+        $sort: { magnitude: -1 },
+        $slice: LARGEST_DELTAS_LIMIT
+      }
+    };
+  }
+
+  return update;
+}
+
+/**
+ * Recalculate the remaining orders of a job, recording progress as it goes
+ * @param {string} jobId - RecalculationJob id
+ */
+async function runRecalculationJob(jobId) {
+  const job = await RecalculationJob.findById(jobId);
+  if (!job || job.status === 'completed' || job.status === 'failed') return;
+
+  await RecalculationJob.updateOne(
+    { _id: job._id },
+    { status: 'running', startedAt: job.startedAt || new Date() }
+  );
+
+  try {
+    const filter = {
+      ...(job.user && { user: job.user }),
+      ...(job.lastOrder && { _id: { $gt: job.lastOrder } })
+    };
+
+    const cursor = Order.find(filter).sort({ _id: 1 }).cursor();
+    for await (const order of cursor) {
+      const entry = await recalculateOrder(order, job.dryRun);
+      await RecalculationJob.updateOne({ _id: job._id }, buildProgressUpdate(entry));
+    }
+
+    const completed = await RecalculationJob.findByIdAndUpdate(
+      job._id,
+      { status: 'completed', completedAt: new Date() },
+      { new: true }
+    );
+    console.log(`[DEBUG] Recalculation job ${job._id} completed: ${JSON.stringify(completed.counts)}`);
+  } catch (error) {
+    console.error(`[DEBUG] Recalculation job ${job._id} failed:`, error);
+    await RecalculationJob.updateOne(
+      { _id: job._id },
+      { status: 'failed', error: error.message, completedAt: new Date() }
+    );
+  }
+}
+
+/**
+ * Re-queue jobs that were queued or mid-run when the server stopped
+ * @return {Promise<number>} - Number of resumed jobs
+ */
+async function resumePendingRecalculationJobs() {
+  const pending = await RecalculationJob.find({ status: { $in: ['queued', 'running'] } })
+    .select('_id')
+    .sort({ createdAt: 1 });
+
+  pending.forEach(job => scheduleRecalculationJob(job._id));
+  if (pending.length > 0) {
+    console.log(`Resuming ${pending.length} pending recalculation jobs`);
+  }
+  return pending.length;
+}
+
+/**
+ * Summarize a job for API responses
+ * @param {Object} job - RecalculationJob document
+ * @return {Object} - Job status, progress, counts and the largest deltas
+ */
+function formatRecalculationJob(job) {
+  // Orders added while the job runs can take it past the count taken at the start
+  const total = Math.max(job.total, job.processed);
+  return {
+    id: job._id,
+    userId: job.user || null,
+    dryRun: job.dryRun,
+    status: job.status,
+    progress: {
+      processed: job.processed,
+      total,
+      percentage: total > 0 ? Math.round((job.processed / total) * 100) : 100
+    },
+    counts: job.counts,
+    totalDelta: parseFloat(job.totalDelta.toFixed(2)),
+    largestDeltas: job.largestDeltas.map(({ order, orderId, platform, previousTotalEmission, totalEmission, delta }) => ({
+      id: order,
+      orderId,
+      platform,
+      previousTotalEmission,
+      totalEmission,
+      delta
+    })),
+    failures: job.failures,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+module.exports = {
+  createRecalculationJob,
+  buildProgressUpdate,
+  runRecalculationJob,
+  waitForRecalculationJob,
+  resumePendingRecalculationJobs,
+  formatRecalculationJob
+};
@@ -0,0 +1,229 @@
+// Recipe Knowledge Base
+// ----------------------------------------------------------------------
+// Offline dish -> ingredient grams lookup, consulted before any external
+// recipe API. Loaded from src/data/recipes.json, or from the JSON or CSV
+// file named in RECIPE_KB_PATH.
+//
+// CSV files use the columns: name,aliases,cuisine,ingredients
+// with aliases separated by "|" and ingredients as "paneer:100|onions:50".
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RECIPE_KB_PATH = path.join(__dirname, '..', 'data', 'recipes.json');
+
+// Menu words that say nothing about what the dish is made of
+const MENU_NOISE_WORDS = new Set([
+  'special', 'classic', 'signature', 'chef', 'chefs', 'house', 'famous', 'original',
+  'authentic', 'delicious', 'best', 'new', 'premium', 'royal', 'desi', 'our', 'the',
+  'half', 'full', 'quarter', 'regular', 'medium', 'large', 'small', 'mini', 'jumbo',
+  'plate', 'portion', 'serves', 'serving', 'pc', 'pcs', 'piece', 'pieces', 'combo', 'with'
+]);
+
+// Minimum character-bigram similarity for a fuzzy (typo tolerant) match
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+// Normalized name or alias -> recipe
+let recipeIndex = null;
+
+/**
+ * Normalize a dish or menu name for matching
+ * e.g. "Special Murgh Makhani (Half)" -> "murgh makhani"
+ * @param {string} name - Dish name as it appears on a menu
+ * @return {string} - Normalized name
+ */
+function normalizeDishName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    .replace(/['’]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !MENU_NOISE_WORDS.has(word) && !/^\d+$/.test(word))
+    .join(' ');
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @return {Array} - Field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Parse a CSV recipe dataset
+ * @param {string} content - File content
+ * @return {Array} - Recipes { name, aliases, cuisine, ingredients }
+ */
+function parseRecipeCsv(content) {
+  const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+  const columns = parseCsvLine(header).map(column => column.toLowerCase());
+
+  return lines.map(line => {
+    const values = parseCsvLine(line);
+    const row = Object.fromEntries(columns.map((column, index) => [column, values[index] || '']));
+
+    const ingredients = {};
+    for (const pair of row.ingredients.split('|').filter(Boolean)) {
+      const [ingredient, grams] = pair.split(':');
+      ingredients[ingredient.trim()] = parseFloat(grams);
+    }
+
+    return {
+      name: row.name,
+      aliases: row.aliases.split('|').map(alias => alias.trim()).filter(Boolean),
+      cuisine: row.cuisine,
+      ingredients
+    };
+  });
+}
+
+/**
+ * Load the recipe knowledge base, replacing any previously loaded one
+ * @param {string} [filePath] - JSON or CSV dataset, defaults to RECIPE_KB_PATH or src/data/recipes.json
+ * @return {number} - Number of recipes loaded
+ */
+function loadRecipeKnowledgeBase(filePath = process.env.RECIPE_KB_PATH || DEFAULT_RECIPE_KB_PATH) {
+  recipeIndex = new Map();
+
+  let recipes = [];
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    recipes = path.extname(filePath).toLowerCase() === '.csv'
+      ? parseRecipeCsv(content)
+      : JSON.parse(content).recipes;
+  } catch (error) {
+    console.error(`Error loading recipe knowledge base from ${filePath}:`, error.message);
+    return 0;
+  }
+
+  for (const recipe of recipes) {
+    const valid = recipe.name && recipe.ingredients &&
+      Object.values(recipe.ingredients).every(grams => typeof grams === 'number' && grams >= 0);
+    if (!valid) {
+      console.warn(`Skipping invalid recipe in knowledge base: ${recipe.name}`);
+      continue;
+    }
+
+    for (const alias of [recipe.name, ...(recipe.aliases || [])]) {
+      const key = normalizeDishName(alias);
+      // The first recipe to claim a name keeps it
+      if (key && !recipeIndex.has(key)) {
+        recipeIndex.set(key, recipe);
+      }
+    }
+  }
+
+  console.log(`Loaded ${recipes.length} recipes into the recipe knowledge base`);
+  return recipes.length;
+}
+
+/**
+ * Sørensen–Dice similarity of two strings over character bigrams
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @return {number} - Similarity between 0 and 1
+ */
+function bigramSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Find the recipe for a dish or menu name
+ * Tries an exact alias match, then the longest alias contained in the name
+ * ("chicken biryani family pack" -> "chicken biryani"), then a typo tolerant match.
+ * @param {string} dishName - Dish name as it appears on a menu
+ * @return {Object|null} - { name, cuisine, ingredients, match: exact|partial|fuzzy, score } or null
+ */
+function matchRecipe(dishName) {
+  if (!recipeIndex) loadRecipeKnowledgeBase();
+
+  const name = normalizeDishName(dishName);
+  if (!name) return null;
+
+  const toMatch = (recipe, match, score) => ({
+    name: recipe.name,
+    cuisine: recipe.cuisine,
+    ingredients: recipe.ingredients,
+    match,
+    score: parseFloat(score.toFixed(2))
+  });
+
+  if (recipeIndex.has(name)) {
+    return toMatch(recipeIndex.get(name), 'exact', 1);
+  }
+
+  let partial = null;
+  let fuzzy = null;
+  for (const [key, recipe] of recipeIndex) {
+    if (` ${name} `.includes(` ${key} `) && (!partial || key.length > partial.key.length)) {
+      partial = { key, recipe };
+    }
+
+    const similarity = bigramSimilarity(name, key);
+    if (similarity >= FUZZY_MATCH_THRESHOLD && (!fuzzy || similarity > fuzzy.similarity)) {
+      fuzzy = { similarity, recipe };
+    }
+  }
+
+  if (partial) {
+    return toMatch(partial.recipe, 'partial', partial.key.length / name.length);
+  }
+  if (fuzzy) {
+    return toMatch(fuzzy.recipe, 'fuzzy', fuzzy.similarity);
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_RECIPE_KB_PATH,
+  normalizeDishName,
+  loadRecipeKnowledgeBase,
+  matchRecipe
+};
@@ -0,0 +1,528 @@
+// Restaurants
+// ----------------------------------------------------------------------
+// Links orders to a shared Restaurant record, so a restaurant ordered from
+// on several platforms or by several users has one identity, one location
+// and one footprint. Restaurants are matched by normalized name, then by
+// the platform's restaurant id, coordinates, locality or address.
+
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const Order = require('../models/Order');
+const { normalizeRestaurantName } = require('./dishResolutions');
+const { matchRecipe } = require('./recipeKnowledgeBase');
+const { haversineKm } = require('../geo/haversine');
+const { DUPLICATE_KEY } = require('./factorDatasets');
+
+// Listings closer than this are the same restaurant
+const MATCH_RADIUS_KM = 0.3;
+
+// Knowledge base cuisines that say nothing about the kind of restaurant
+const NON_RESTAURANT_CUISINES = ['beverage', 'dessert'];
+
+// Dishes listed on a restaurant's page, most ordered first
+const MENU_LIMIT = 50;
+
+// Orders a restaurant needs before its average is trusted enough to recommend it
+const MIN_ALTERNATIVE_ORDERS = 3;
+
+// Lower-carbon alternatives suggested per restaurant
+const ALTERNATIVES_PER_RESTAURANT = 3;
+
+/**
+ * Normalize free text for comparison
+ * @param {string} value - Address, locality or cuisine
+ * @return {string} - Lowercased words separated by single spaces
+ */
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Coordinates of a restaurant or listing, when known
+ * @param {Object} location - { lat, lng }
+ * @return {Object|null} - { lat, lng } or null
+ */
+function getCoords(location) {
+  return location && typeof location.lat === 'number' && typeof location.lng === 'number'
+    ? { lat: location.lat, lng: location.lng }
+    : null;
+}
+
+/**
+ * Work out the cuisines of a restaurant from the dishes ordered there
+ * @param {Array} items - Order items { name }
+ * @return {Array} - Cuisine names from the recipe knowledge base
+ */
+function inferCuisines(items) {
+  const cuisines = new Set();
+  for (const item of items || []) {
+    const recipe = matchRecipe(item.name);
+    if (recipe && recipe.cuisine && !NON_RESTAURANT_CUISINES.includes(recipe.cuisine)) {
+      cuisines.add(recipe.cuisine);
+    }
+  }
+  return [...cuisines];
+}
+
+/**
+ * Describe the restaurant of a canonical order
+ * @param {Object} order - Canonical order
+ * @return {Object} - Restaurant fields found on the order
+ */
+function buildListing(order) {
+  const details = order.details || {};
+  return {
+    name: order.restaurantName.trim(),
+    normalizedName: normalizeRestaurantName(order.restaurantName),
+    platform: {
+      platform: order.platform,
+      restaurantId: order.platformRestaurantId,
+      url: details.restaurantUrl,
+      image: details.restaurantImage,
+      phone: details.restaurantPhone,
+      rating: details.restaurantRating?.aggregateRating
+    },
+    address: order.restaurantAddress || details.locality?.addressString || '',
+    location: getCoords(order.restaurantCoords),
+    locality: {
+      cityId: details.locality?.cityId,
+      localityName: details.locality?.localityName
+    },
+    city: order.restaurantCity || '',
+    cuisines: [...(order.cuisines || []).map(normalizeText), ...inferCuisines(order.items)],
+    establishment: details.restaurantEstablishment || []
+  };
+}
+
+/**
+ * Whether a listing says anything about where the restaurant is
+ * @param {Object} listing - From buildListing
+ * @return {boolean}
+ */
+function hasLocation(listing) {
+  return Boolean(listing.location || listing.locality.cityId != null || listing.locality.localityName ||
+    listing.address || listing.city);
+}
+
+/**
+ * Whether a stored restaurant is the one a listing with the same name refers to
+ * The platform's own restaurant id decides when both sides have one for the
+ * listing's platform. Otherwise the most precise location both sides have
+ * decides: coordinates, then locality, then address, then city. Without a
+ * location in common they are not the same, so chains in different cities
+ * stay apart.
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} listing - From buildListing
+ * @return {boolean}
+ */
+function isSameRestaurant(restaurant, listing) {
+  const { platform, restaurantId } = listing.platform;
+  const listed = restaurant.platforms.find(entry => entry.platform === platform && entry.restaurantId);
+  if (listed && restaurantId) {
+    return listed.restaurantId === restaurantId;
+  }
+
+  const coords = getCoords(restaurant.location);
+  if (coords && listing.location) {
+    return haversineKm(coords, listing.location) <= MATCH_RADIUS_KM;
+  }
+
+  const cityId = restaurant.locality?.cityId;
+  if (cityId != null && listing.locality.cityId != null && cityId !== listing.locality.cityId) {
+    return false;
+  }
+  if (restaurant.locality?.localityName && listing.locality.localityName) {
+    return normalizeText(restaurant.locality.localityName) === normalizeText(listing.locality.localityName);
+  }
+  if (restaurant.address && listing.address) {
+    return normalizeText(restaurant.address) === normalizeText(listing.address);
+  }
+  if (restaurant.city && listing.city) {
+    return normalizeText(restaurant.city) === normalizeText(listing.city);
+  }
+  return false;
+}
+
+/**
+ * Key of a platform listing in the restaurant's unique platformKeys
+ * @param {string} platform - Platform name
+ * @param {string} restaurantId - The platform's restaurant id
+ * @return {string} - e.g. "Swiggy:101"
+ */
+function getPlatformKey(platform, restaurantId) {
+  return `${platform}:${restaurantId}`;
+}
+
+/**
+ * Fill in what a listing adds to a stored restaurant
+ * @param {Object} restaurant - Restaurant document
+ * @param {Object} listing - From buildListing
+ */
+function mergeListing(restaurant, listing) {
+  if (!getCoords(restaurant.location) && listing.location) restaurant.location = listing.location;
+  if (!restaurant.address && listing.address) restaurant.address = listing.address;
+  if (restaurant.locality?.cityId == null && listing.locality.cityId != null) {
+    restaurant.locality.cityId = listing.locality.cityId;
+  }
+  if (!restaurant.locality?.localityName && listing.locality.localityName) {
+    restaurant.locality.localityName = listing.locality.localityName;
+  }
+  if (!restaurant.city && listing.city) restaurant.city = listing.city;
+
+  // A listing only updates what it knows, so an order without the platform's id keeps the stored one
+  const existing = restaurant.platforms.find(entry => entry.platform === listing.platform.platform);
+  const known = Object.entries(listing.platform).filter(([, value]) => value != null && value !== '');
+  const platforms = restaurant.platforms.filter(entry => entry !== existing);
+  restaurant.platforms = [...platforms, { ...(existing ? existing.toObject() : {}), ...Object.fromEntries(known) }];
+
+  const platformKeys = restaurant.platforms
+    .filter(entry => entry.platform && entry.restaurantId)
+    .map(entry => getPlatformKey(entry.platform, entry.restaurantId));
+  restaurant.platformKeys = platformKeys.length > 0 ? platformKeys : undefined;
+
+  const addNew = (values, extra) => [...new Set([...values, ...extra.filter(Boolean)])];
+  restaurant.cuisines = addNew(restaurant.cuisines, listing.cuisines);
+  restaurant.establishment = addNew(restaurant.establishment, listing.establishment);
+}
+
+/**
+ * Find or create the restaurant of a platform listing in one step
+ * Two imports seeing a new restaurant at the same time get the same record.
+ * @param {Object} listing - From buildListing, with the platform's restaurant id
+ * @return {Promise<Object>} - Restaurant document
+ */
+async function upsertPlatformListing(listing) {
+  const platformKey = getPlatformKey(listing.platform.platform, listing.platform.restaurantId);
+  try {
+    return await Restaurant.findOneAndUpdate(
+      { platformKeys: platformKey },
+      {
+        $setOnInsert: {
+          name: listing.name,
+          normalizedName: listing.normalizedName,
+          platforms: [],
+          platformKeys: [platformKey],
+          locality: {}
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Both inserted it and the other import won
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return Restaurant.findOne({ platformKeys: platformKey });
+  }
+}
+
+/**
+ * Find the restaurant of a canonical order, creating it the first time it is seen
+ * @param {Object} order - Canonical order
+ * @return {Promise<Object|null>} - Restaurant document, null when the order names none or
+ *                                  neither locates it nor gives the platform's restaurant id
+ */
+async function findOrCreateRestaurant(order) {
+  const listing = buildListing(order);
+  if (!listing.normalizedName) return null;
+
+  // Such a record could never be told apart from other restaurants of the same name
+  if (!listing.platform.restaurantId && !hasLocation(listing)) {
+    console.log(`[DEBUG] Not linking ${listing.name}: no location or platform restaurant id`);
+    return null;
+  }
+
+  const candidates = await Restaurant.find({ normalizedName: listing.normalizedName });
+  let restaurant = candidates.find(candidate => isSameRestaurant(candidate, listing));
+
+  if (!restaurant && listing.platform.restaurantId) {
+    restaurant = await upsertPlatformListing(listing);
+  }
+  if (!restaurant) {
+    restaurant = new Restaurant({
+      name: listing.name,
+      normalizedName: listing.normalizedName,
+      platforms: [],
+      locality: {}
+    });
+    console.log(`[DEBUG] New restaurant: ${listing.name}`);
+  }
+
+  mergeListing(restaurant, listing);
+  if (restaurant.isNew || restaurant.isModified()) {
+    try {
+      await restaurant.save();
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY || !listing.platform.restaurantId) throw error;
+      // Another restaurant already holds the listing, e.g. one saved by a concurrent import
+      const holder = await Restaurant.findOne({
+        platformKeys: getPlatformKey(listing.platform.platform, listing.platform.restaurantId)
+      });
+      if (!holder) throw error;
+      return holder;
+    }
+  }
+  return restaurant;
+}
+
+/**
+ * Find or create the restaurant of an order that is already stored
+ * @param {Object} order - Order document
+ * @return {Promise<Object|null>} - Restaurant document, null when the order names none
+ */
+async function findRestaurantForStoredOrder(order) {
+  return findOrCreateRestaurant({
+    platform: order.platform,
+    restaurantName: order.restaurantName || '',
+    platformRestaurantId: order.platformRestaurantId,
+    restaurantAddress: order.restaurantAddress,
+    restaurantCoords: null,
+    items: order.items,
+    details: {
+      restaurantUrl: order.restaurantUrl,
+      restaurantImage: order.restaurantImage,
+      restaurantPhone: order.restaurantPhone,
+      restaurantRating: order.restaurantRating,
+      restaurantEstablishment: order.restaurantEstablishment,
+      locality: order.locality
+    }
+  });
+}
+
+/**
+ * Describe a restaurant with its footprint across every user's orders
+ * @param {string} restaurantId - Restaurant ID
+ * @return {Promise<Object|null>} - { restaurant, stats, menu }, null when not found
+ */
+async function getRestaurantProfile(restaurantId) {
+  const restaurant = await Restaurant.findById(restaurantId).lean();
+  if (!restaurant) return null;
+
+  const match = { $match: { restaurant: new mongoose.Types.ObjectId(restaurantId) } };
+  const [totals] = await Order.aggregate([
+    match,
+    {
+      $group: {
+        _id: null,
+        orderCount: { $sum: 1 },
+        users: { $addToSet: '$user' },
+        platforms: { $addToSet: '$platform' },
+        totalEmission: { $sum: '$emissionData.totalEmission' },
+        averageEmissionPerOrder: { $avg: '$emissionData.totalEmission' },
+        // Emissions per rupee only count orders with a known amount
+        pricedEmission: {
+          $sum: { $cond: [{ $gt: ['$orderAmount', 0] }, '$emissionData.totalEmission', 0] }
+        },
+        totalAmount: { $sum: { $cond: [{ $gt: ['$orderAmount', 0] }, '$orderAmount', 0] } },
+        firstOrderDate: { $min: '$orderDate' },
+        lastOrderDate: { $max: '$orderDate' }
+      }
+    }
+  ]);
+
+  const menu = await Order.aggregate([
+    match,
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { $toLower: '$items.name' },
+        name: { $first: '$items.name' },
+        timesOrdered: { $sum: { $ifNull: ['$items.quantity', 1] } },
+        orderCount: { $sum: 1 },
+        totalEmission: { $sum: { $ifNull: ['$items.emission', 0] } },
+        category: { $first: '$items.category' },
+        recipe: { $first: '$items.recipe' }
+      }
+    },
+    { $sort: { timesOrdered: -1, name: 1 } },
+    { $limit: MENU_LIMIT }
+  ]);
+
+  const round = value => parseFloat(value.toFixed(4));
+  return {
+    restaurant: {
+      id: restaurant._id,
+      name: restaurant.name,
+      address: restaurant.address,
+      location: getCoords(restaurant.location),
+      locality: restaurant.locality,
+      city: restaurant.city,
+      cuisines: restaurant.cuisines,
+      establishment: restaurant.establishment,
+      platforms: restaurant.platforms
+    },
+    stats: {
+      orderCount: totals?.orderCount || 0,
+      userCount: totals?.users.length || 0,
+      platforms: totals?.platforms || [],
+      totalEmission: round(totals?.totalEmission || 0),
+      averageEmissionPerOrder: round(totals?.averageEmissionPerOrder || 0),
+      // kg CO₂e per rupee spent
+      emissionPerRupee: totals?.totalAmount > 0 ? round(totals.pricedEmission / totals.totalAmount) : null,
+      firstOrderDate: totals?.firstOrderDate || null,
+      lastOrderDate: totals?.lastOrderDate || null
+    },
+    menu: menu.map(dish => ({
+      name: dish.name,
+      timesOrdered: dish.timesOrdered,
+      orderCount: dish.orderCount,
+      // kg CO₂e per unit
+      averageEmission: dish.timesOrdered > 0 ? round(dish.totalEmission / dish.timesOrdered) : null,
+      category: dish.category || null,
+      recipe: dish.recipe || null
+    }))
+  };
+}
+
+/**
+ * Average emissions of restaurants across every user's orders
+ * A meal is one unit of an ordered item.
+ * @param {Array} restaurantIds - Restaurant IDs
+ * @return {Promise<Map>} - Restaurant ID -> { orderCount, meals, averageEmissionPerOrder, averageEmissionPerMeal }
+ */
+async function getRestaurantStats(restaurantIds) {
+  const groups = await Order.aggregate([
+    { $match: { restaurant: { $in: restaurantIds } } },
+    {
+      $group: {
+        _id: '$restaurant',
+        orderCount: { $sum: 1 },
+        meals: { $sum: { $sum: '$items.quantity' } },
+        totalEmission: { $sum: '$emissionData.totalEmission' }
+      }
+    }
+  ]);
+
+  return new Map(groups.map(group => [group._id.toString(), summarizeEmissions(group)]));
+}
+
+/**
+ * Add per-order and per-meal averages to summed emissions
+ * @param {Object} group - { orderCount, meals, totalEmission }
+ * @return {Object} - { orderCount, meals, totalEmission, averageEmissionPerOrder, averageEmissionPerMeal }
+ */
+function summarizeEmissions({ orderCount, meals, totalEmission }) {
+  const round = value => parseFloat(value.toFixed(4));
+  return {
+    orderCount,
+    meals,
+    totalEmission: round(totalEmission),
+    averageEmissionPerOrder: orderCount > 0 ? round(totalEmission / orderCount) : null,
+    averageEmissionPerMeal: meals > 0 ? round(totalEmission / meals) : null
+  };
+}
+
+/**
+ * Whether two restaurants are in the same city
+ * Zomato's locality.cityId decides when both have one, otherwise the city name.
+ * @param {Object} a - Restaurant
+ * @param {Object} b - Restaurant
+ * @return {boolean}
+ */
+function isSameCity(a, b) {
+  if (a.locality?.cityId != null && b.locality?.cityId != null) {
+    return a.locality.cityId === b.locality.cityId;
+  }
+  return Boolean(a.city && b.city && normalizeText(a.city) === normalizeText(b.city));
+}
+
+/**
+ * Pick restaurants in the same city with a shared cuisine and a lower average footprint
+ * @param {Object} restaurant - Restaurant the user orders from
+ * @param {Array} candidates - Restaurants to choose from
+ * @param {Map} stats - From getRestaurantStats
+ * @return {Array} - Alternatives, most cuisines in common first, then lowest footprint
+ */
+function pickAlternatives(restaurant, candidates, stats) {
+  const own = stats.get(restaurant._id.toString());
+  if (!own || own.averageEmissionPerOrder == null) return [];
+
+  return candidates
+    .filter(candidate => !candidate._id.equals(restaurant._id) && isSameCity(restaurant, candidate))
+    .map(candidate => ({
+      candidate,
+      sharedCuisines: candidate.cuisines.filter(cuisine => restaurant.cuisines.includes(cuisine)),
+      candidateStats: stats.get(candidate._id.toString())
+    }))
+    .filter(({ sharedCuisines, candidateStats }) => sharedCuisines.length > 0 &&
+      candidateStats && candidateStats.orderCount >= MIN_ALTERNATIVE_ORDERS &&
+      candidateStats.averageEmissionPerOrder < own.averageEmissionPerOrder)
+    .sort((a, b) => b.sharedCuisines.length - a.sharedCuisines.length ||
+      a.candidateStats.averageEmissionPerOrder - b.candidateStats.averageEmissionPerOrder)
+    .slice(0, ALTERNATIVES_PER_RESTAURANT)
+    .map(({ candidate, sharedCuisines, candidateStats }) => ({
+      id: candidate._id,
+      name: candidate.name,
+      address: candidate.address,
+      sharedCuisines,
+      averageEmissionPerOrder: candidateStats.averageEmissionPerOrder,
+      averageEmissionPerMeal: candidateStats.averageEmissionPerMeal,
+      // kg CO₂e less per order than the restaurant it replaces, on average across users
+      savingPerOrder: parseFloat((own.averageEmissionPerOrder - candidateStats.averageEmissionPerOrder).toFixed(4))
+    }));
+}
+
+/**
+ * Rank the restaurants a user orders from by their footprint, lowest first
+ * Each restaurant comes with lower-carbon alternatives in the same city that
+ * share a cuisine with it. Orders not linked to a restaurant are grouped by name.
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { sort: "order" or "meal", limit }
+ * @return {Promise<Array>} - Leaderboard entries
+ */
+async function getRestaurantLeaderboard(userId, { sort = 'order', limit = 20 } = {}) {
+  const groups = await Order.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: { $ifNull: ['$restaurant', { $toLower: '$restaurantName' }] },
+        restaurantName: { $first: '$restaurantName' },
+        orderCount: { $sum: 1 },
+        meals: { $sum: { $sum: '$items.quantity' } },
+        totalEmission: { $sum: '$emissionData.totalEmission' },
+        lastOrderDate: { $max: '$orderDate' }
+      }
+    }
+  ]);
+
+  const metric = sort === 'meal' ? 'averageEmissionPerMeal' : 'averageEmissionPerOrder';
+  const entries = groups
+    .map(group => ({ group, ...summarizeEmissions(group) }))
+    .sort((a, b) => (a[metric] ?? Infinity) - (b[metric] ?? Infinity))
+    .slice(0, limit);
+
+  const restaurantIds = entries
+    .map(({ group }) => group._id)
+    .filter(id => id instanceof mongoose.Types.ObjectId);
+  const restaurants = await Restaurant.find({ _id: { $in: restaurantIds } }).lean();
+
+  // Same-city restaurants sharing a cuisine with any of them, fetched once for the whole board
+  const candidates = await Restaurant.find({
+    $or: [
+      { 'locality.cityId': { $in: restaurants.map(restaurant => restaurant.locality?.cityId).filter(id => id != null) } },
+      { city: { $in: restaurants.map(restaurant => restaurant.city).filter(Boolean) } }
+    ],
+    cuisines: { $in: [...new Set(restaurants.flatMap(restaurant => restaurant.cuisines))] }
+  }).lean();
+  const stats = await getRestaurantStats([...restaurantIds, ...candidates.map(candidate => candidate._id)]);
+
+  return entries.map(({ group, ...totals }, index) => {
+    const restaurant = restaurants.find(entry => entry._id.equals(group._id));
+    return {
+      rank: index + 1,
+      restaurant: restaurant
+        ? { id: restaurant._id, name: restaurant.name, cuisines: restaurant.cuisines, locality: restaurant.locality, city: restaurant.city }
+        : { id: null, name: group.restaurantName },
+      ...totals,
+      lastOrderDate: group.lastOrderDate,
+      alternatives: restaurant ? pickAlternatives(restaurant, candidates, stats) : []
+    };
+  });
+}
+
+module.exports = {
+  getCoords,
+  inferCuisines,
+  findOrCreateRestaurant,
+  findRestaurantForStoredOrder,
+  getRestaurantProfile,
+  getRestaurantLeaderboard
+};
@@ -1,8 +1,17 @@
 // Carbon Emission Calculator – Food + Packaging + Travel Emissions (JavaScript Version)
 // ----------------------------------------------------------------------
-// Uses predefined emissions DB or calls Spoonacular API to estimate CO2e for dishes, packaging, and travel
+// Uses dish overrides, predefined emissions DB, the offline recipe knowledge base or the
+// Spoonacular API (with cached results) to estimate CO2e for dishes, packaging, and travel
 
 const axios = require('axios');
+const mongoose = require('mongoose');
+const EmissionFactorDataset = require('../models/EmissionFactorDataset');
+const { matchRecipe } = require('./recipeKnowledgeBase');
+const { findOverride, getCachedResolution, cacheResolution } = require('./dishResolutions');
+const { parseDishString, applyPortion } = require('./dishParser');
+const { geocodeAddress, routeDistance } = require('../geo');
+const { DEFAULT_TRANSPORT, normalizeTransportMode } = require('./transportModes');
+const { applyTripShape } = require('./tripShapes');
 
 require('dotenv').config();
 
@@ -257,7 +266,7 @@ const DEFAULT_PACKAGING = {
 const PACKAGING_EMISSION_PER_DISH = 0.2; // kg CO₂e per dish for average packaging
 
 /**
- * Travel Emissions (kg CO₂e per km)
+ * Travel Emissions (kg CO₂e per km), one entry per mode in TRANSPORT_MODES
  * Sources:
  * - DEFRA (UK Dept for Environment, Food & Rural Affairs)
  * - European Environment Agency transport emissions data
@@ -273,14 +282,10 @@ const TRAVEL_EMISSIONS = {
   "walking": 0.0          // Zero direct emissions
 };
 
-// Default transport type when not specified
-const DEFAULT_TRANSPORT = "motorcycle";
-
 // Previous constant used for backward compatibility
 const TRAVEL_EMISSION_PER_KM = 0.105; // kg CO₂e per km for average delivery
 
 // API Keys
-const OPENROUTESERVICE_API_KEY = process.env.OPENROUTESERVICE_API_KEY;
 const SPOONACULAR_API_KEY = process.env.SPOONACULAR_API_KEY;
 
 /**
@@ -361,12 +366,143 @@ const RECIPE_DB = {
   }
 };
 
+/**
+ * Built-in factor dataset (version 0)
+ * Used until a dataset is published, and whenever the published one cannot be loaded.
+ * The tables above are replaced in place by the active dataset, so this keeps a copy.
+ */
+const BUILTIN_FACTOR_DATASET = {
+  version: 0,
+  description: 'Built-in factor tables',
+  sources: [
+    { name: 'Our World in Data', url: 'https://ourworldindata.org/food-choice-vs-eating-local', covers: ['food'] },
+    { name: 'Nature Food Journal', url: 'https://www.nature.com/articles/s43016-021-00225-9', covers: ['food'] },
+    { name: 'Carbon Cloud', url: 'https://carboncloud.com/food-emissions-database/', covers: ['food'] },
+    { name: 'European Environment Agency', covers: ['packaging', 'travel'] },
+    { name: 'LCA (Life Cycle Assessment) studies', covers: ['packaging'] },
+    { name: 'DEFRA (UK Dept for Environment, Food & Rural Affairs)', covers: ['travel'] }
+  ],
+  food: structuredClone(FOOD_EMISSIONS_DB),
+  packaging: structuredClone(PACKAGING_EMISSIONS),
+  travel: structuredClone(TRAVEL_EMISSIONS),
+  recipes: structuredClone(RECIPE_DB)
+};
+
+// Version of the dataset the tables currently hold, recorded with every calculation
+let activeFactorVersion = BUILTIN_FACTOR_DATASET.version;
+
+// How often calculations check for a dataset published by another server instance
+const DEFAULT_FACTOR_REFRESH_SECONDS = 60;
+// When the latest version was last checked, and the check in progress
+let lastFactorCheck = 0;
+let factorCheck = null;
+
+/**
+ * Replace the contents of a factor table, keeping the same object
+ * @param {Object} table - Table to update
+ * @param {Object} values - New contents
+ */
+function replaceTable(table, values) {
+  Object.keys(table).forEach(key => delete table[key]);
+  Object.assign(table, structuredClone(values));
+}
+
+/**
+ * Make a dataset the one used for all calculations
+ * @param {Object} dataset - { version, food, packaging, travel, recipes }
+ */
+function applyFactorDataset(dataset) {
+  replaceTable(FOOD_EMISSIONS_DB, dataset.food);
+  replaceTable(PACKAGING_EMISSIONS, dataset.packaging);
+  replaceTable(TRAVEL_EMISSIONS, dataset.travel);
+  replaceTable(RECIPE_DB, dataset.recipes);
+  activeFactorVersion = dataset.version;
+  console.log(`[DEBUG] Using emission factor dataset version ${dataset.version}`);
+}
+
+/**
+ * Load the latest published factor dataset, falling back to the built-in tables
+ * @return {Promise<number>} - Version now in use
+ */
+async function loadFactorDataset() {
+  try {
+    const dataset = await EmissionFactorDataset.findOne().sort({ version: -1 }).lean();
+    applyFactorDataset(dataset || BUILTIN_FACTOR_DATASET);
+  } catch (err) {
+    console.error("Error loading emission factor dataset, using built-in factors:", err.message);
+    applyFactorDataset(BUILTIN_FACTOR_DATASET);
+  }
+  lastFactorCheck = Date.now();
+  return activeFactorVersion;
+}
+
+/**
+ * Get how often to check for a newer factor dataset (FACTOR_DATASET_REFRESH_SECONDS)
+ * @return {number} - Milliseconds
+ */
+function getFactorRefreshInterval() {
+  const seconds = parseInt(process.env.FACTOR_DATASET_REFRESH_SECONDS, 10);
+  return (seconds >= 0 ? seconds : DEFAULT_FACTOR_REFRESH_SECONDS) * 1000;
+}
+
+/**
+ * Switch to the latest factor dataset if another server instance published one
+ * Only the latest version number is read, at most once per refresh interval;
+ * the tables are loaded when it differs from the one in use.
+ * @return {Promise<number>} - Version now in use
+ */
+async function refreshFactorDataset() {
+  if (mongoose.connection.readyState !== 1 || Date.now() - lastFactorCheck < getFactorRefreshInterval()) {
+    return activeFactorVersion;
+  }
+
+  if (!factorCheck) {
+    factorCheck = EmissionFactorDataset.findOne().sort({ version: -1 }).select('version').lean()
+      .then(latest => {
+        const version = latest ? latest.version : BUILTIN_FACTOR_DATASET.version;
+        return version !== activeFactorVersion ? loadFactorDataset() : activeFactorVersion;
+      })
+      .catch(err => console.error("Error checking for a newer emission factor dataset:", err.message))
+      .finally(() => {
+        lastFactorCheck = Date.now();
+        factorCheck = null;
+      });
+  }
+  await factorCheck;
+  return activeFactorVersion;
+}
+
+/**
+ * Get the version of the factor dataset in use
+ * @return {number} - Dataset version, 0 for the built-in tables
+ */
+function getFactorVersion() {
+  return activeFactorVersion;
+}
+
 /**
  * Fetch ingredients for a dish from Spoonacular API
+ * Results are cached in the DishResolution collection, so each dish is only looked up once.
  * @param {string} dishName - Name of the dish
- * @return {Object} - Object with ingredients and their quantities in grams
+ * @return {Object} - { recipe: matched recipe title or null when estimated, ingredients: grams by ingredient,
+ *                    source: "spoonacular" or "heuristic" }
  */
 async function fetchIngredientsFromAPI(dishName) {
+  try {
+    const cached = await getCachedResolution(dishName);
+    if (cached) {
+      console.log(`[DEBUG] Using cached resolution for ${dishName}`);
+      return cached;
+    }
+  } catch (err) {
+    console.error(`Error reading cached resolution for ${dishName}:`, err.message);
+  }
+
+  if (!SPOONACULAR_API_KEY) {
+    console.log(`Spoonacular not configured, estimating ingredients for ${dishName}`);
+    return { recipe: null, ingredients: estimateDishIngredients(dishName), source: "heuristic" };
+  }
+
   try {
     // First search for the recipe
     const searchRes = await axios.get("https://api.spoonacular.com/recipes/complexSearch", {
@@ -381,7 +517,7 @@ async function fetchIngredientsFromAPI(dishName) {
     const results = searchRes.data.results;
     if (!results || results.length === 0) {
       console.log(`No recipe found for ${dishName}, using fallback method`);
-      return estimateDishIngredients(dishName);
+      return { recipe: null, ingredients: estimateDishIngredients(dishName), source: "heuristic" };
     }
 
     // Get detailed ingredient information
@@ -403,11 +539,15 @@ async function fetchIngredientsFromAPI(dishName) {
       result[name] = amount;
     }
 
-    return result;
+    const resolution = { recipe: results[0].title || null, ingredients: result, source: "spoonacular" };
+    await cacheResolution(dishName, resolution).catch(cacheErr => {
+      console.error(`Error caching resolution for ${dishName}:`, cacheErr.message);
+    });
+    return resolution;
   } catch (err) {
     console.error(`Error fetching ingredients for ${dishName}:`, err.message);
     // Fall back to estimation if API fails
-    return estimateDishIngredients(dishName);
+    return { recipe: null, ingredients: estimateDishIngredients(dishName), source: "heuristic" };
   }
 }
 
@@ -612,7 +752,7 @@ function estimateEmissionCategory(ingredient) {
 }
 
 /**
- * Get coordinates from address using Geoapify API
+ * Get coordinates from address using the configured geo providers
  * @param {string} address - Address string
  * @return {Object|null} - Coordinates {lat, lng} or null if geocoding fails
  */
@@ -622,27 +762,13 @@ async function getCoordinatesFromAddress(address) {
     return null;
   }
 
-  try {
-    const encodedAddress = encodeURIComponent(address);
-    console.log("encodedAddress", encodedAddress);
-    const apiKey = process.env.GEOAPIFY_API_KEY;
-    const url = `https://api.geoapify.com/v1/geocode/search?text=${encodedAddress}&filter=countrycode:in&apiKey=${apiKey}`;
-    
-    console.log(`Geocoding address: ${address}`);
-    const response = await axios.get(url);
-    const data = response.data;
-    console.log("data", data.features[0]);
-    if (!data.features || data.features.length === 0) {
-      console.error("Geocoding failed. No coordinates found for address:", address);
-      return null;
-    }
-
-    const coords = data.features[0].geometry.coordinates;
-    return { lng: coords[0], lat: coords[1] };
-  } catch (err) {
-    console.error("Error in geocoding address:", address, err.message);
+  console.log(`Geocoding address: ${address}`);
+  const coords = await geocodeAddress(address);
+  if (!coords) {
+    console.error("Geocoding failed. No coordinates found for address:", address);
     return null;
   }
+  return { lat: coords.lat, lng: coords.lng };
 }
 
 /**
@@ -650,76 +776,49 @@ async function getCoordinatesFromAddress(address) {
  * @param {string} originAddress - Origin address
  * @param {Object} destCoords - Destination coordinates {lat, lng}
  * @param {string} transportType - Type of transport (defaults to "motorcycle")
- * @return {Object} - Distance in km and transportation details
+ * @return {Object} - Distance in km, transportation details and source ("measured_distance" when routed,
+ *                    "estimated_distance" for the offline estimate, "fallback_distance" for the 5 km default)
  */
 async function getTravelDistanceKm(originAddress, destCoords, transportType = DEFAULT_TRANSPORT) {
+  transportType = normalizeTransportMode(transportType) || DEFAULT_TRANSPORT;
   console.log(`Calculating travel distance from ${originAddress} to coordinates ${destCoords?.lat}, ${destCoords?.lng} using ${transportType}`);
-  
+
+  const emissionFactor = TRAVEL_EMISSIONS[transportType] || TRAVEL_EMISSIONS[DEFAULT_TRANSPORT];
+  const fallback = {
+    distance: 5, // fallback default
+    transportType,
+    emissionFactor,
+    source: "fallback_distance"
+  };
+
   // Input validation
   if (!originAddress || !destCoords) {
     console.warn("Missing origin address or destination coordinates");
-    return {
-      distance: 5, // fallback default
-      transportType,
-      emissionFactor: TRAVEL_EMISSIONS[transportType] || TRAVEL_EMISSIONS[DEFAULT_TRANSPORT]
-    };
+    return fallback;
   }
-  
-  // Get coordinates for the origin address using Geoapify
+
   const originCoords = await getCoordinatesFromAddress(originAddress);
   console.log("Origin coordinates:", originCoords);
-  
+
   if (!originCoords) {
     console.warn("Falling back to default travel distance of 5 km due to geocoding failure.");
-    return {
-      distance: 5, // fallback default
-      transportType,
-      emissionFactor: TRAVEL_EMISSIONS[transportType] || TRAVEL_EMISSIONS[DEFAULT_TRANSPORT]
-    };
+    return fallback;
   }
 
-  try {
-    // Prepare request body for routing
-  const body = {
-    coordinates: [
-      [originCoords.lng, originCoords.lat],
-      [destCoords.lng, destCoords.lat]
-      ],
-      // Choose appropriate profile for the transportation type
-      profile: transportType === "bicycle" || transportType === "e-bicycle" ? "cycling-regular" : "driving-car",
-      preference: "recommended"
-  };
-
-    console.log(`Requesting route from OpenRouteService: ${JSON.stringify(body)}`);
-    
-    // Get route from OpenRouteService
-  const res = await axios.post("https://api.openrouteservice.org/v2/directions/driving-car", body, {
-    headers: {
-      Authorization: OPENROUTESERVICE_API_KEY,
-      "Content-Type": "application/json"
-    }
-  });
-
-    // Extract distance and convert to km
-  const meters = res.data.routes[0].summary.distance;
-    const km = meters / 1000.0;
-    console.log(`Route distance: ${km} km`);
-    
-    // Return distance and emissions data
-    return {
-      distance: km,
-      transportType,
-      emissionFactor: TRAVEL_EMISSIONS[transportType] || TRAVEL_EMISSIONS[DEFAULT_TRANSPORT]
-    };
-  } catch (error) {
-    console.error("Error calculating route:", error.message);
-    // Fallback to a default distance
-    return {
-      distance: 5, // fallback default
-      transportType,
-      emissionFactor: TRAVEL_EMISSIONS[transportType] || TRAVEL_EMISSIONS[DEFAULT_TRANSPORT]
-    };
+  const route = await routeDistance(originCoords, destCoords, transportType);
+  if (!route) {
+    console.warn("Falling back to default travel distance of 5 km, no geo provider could route the trip.");
+    return fallback;
   }
+
+  console.log(`Route distance: ${route.distanceKm} km (${route.provider})`);
+  return {
+    distance: route.distanceKm,
+    transportType,
+    emissionFactor,
+    source: route.estimated ? "estimated_distance" : "measured_distance",
+    provider: route.provider
+  };
 }
 
 /**
@@ -743,15 +842,221 @@ function calculatePackagingEmissions(numberOfDishes, packagingType = DEFAULT_PAC
   return (emissionFactor * numberOfDishes) + additionalEmissions;
 }
 
+/**
+ * Relative uncertainty (±) of an estimate, by where its inputs came from
+ */
+const ESTIMATE_UNCERTAINTY = {
+  override: 0.15,             // Ingredients entered by a user or admin for this dish
+  recipe_db: 0.2,             // Curated recipe from RECIPE_DB
+  recipe_kb: 0.25,            // Recipe matched in the offline knowledge base
+  spoonacular: 0.35,          // Closest recipe found by Spoonacular search
+  heuristic: 0.6,             // Ingredients guessed from keywords in the dish name
+  specified_packaging: 0.25,  // Packaging type given with the order
+  default_packaging: 0.5,     // Packaging assumed to be plastic
+  measured_distance: 0.1,     // Routed, or reported by the platform
+  estimated_distance: 0.3,    // Straight line times a road factor, no routing service
+  fallback_distance: 0.8,     // 5 km default used when routing fails
+  none: 0                     // Component is zero, e.g. no travel
+};
+
+// Food sources from least to most reliable; a food estimate is as trustworthy as its weakest dish
+const FOOD_SOURCE_RELIABILITY = ["heuristic", "spoonacular", "recipe_kb", "recipe_db", "override"];
+
+/**
+ * Work out where the travel distance came from
+ * @param {number|Object} travelDetails - Distance in km or detailed travel object
+ *                                        { distance, transportType?, emissionFactor?, source?, tripShape? }
+ * @return {string} - Provenance tag
+ */
+function getTravelSource(travelDetails) {
+  if (typeof travelDetails === 'object' && travelDetails.distance) {
+    return travelDetails.source || "measured_distance";
+  }
+  if (typeof travelDetails === 'number' && travelDetails > 0) {
+    return "measured_distance";
+  }
+  return "none";
+}
+
+/**
+ * Build the low/high range of a single-source estimate
+ * @param {number} value - Central estimate in kg CO₂e
+ * @param {string} source - Provenance tag
+ * @return {Object} - { low, high, source }
+ */
+function buildEstimateRange(value, source) {
+  const uncertainty = ESTIMATE_UNCERTAINTY[source] ?? ESTIMATE_UNCERTAINTY.heuristic;
+  return {
+    low: (value * (1 - uncertainty)).toFixed(2),
+    high: (value * (1 + uncertainty)).toFixed(2),
+    source
+  };
+}
+
+/**
+ * Build the food range from each dish's own source
+ * @param {Array} dishes - Dish details with totalEmission and source
+ * @return {Object} - { low, high, source } where source is the least reliable dish source
+ */
+function buildFoodRange(dishes) {
+  if (dishes.length === 0) {
+    return buildEstimateRange(0, "none");
+  }
+
+  let low = 0;
+  let high = 0;
+  for (const dish of dishes) {
+    const range = buildEstimateRange(parseFloat(dish.totalEmission), dish.source);
+    low += parseFloat(range.low);
+    high += parseFloat(range.high);
+  }
+
+  const source = FOOD_SOURCE_RELIABILITY.find(candidate => dishes.some(dish => dish.source === candidate));
+  return { low: low.toFixed(2), high: high.toFixed(2), source };
+}
+
+/**
+ * Combine component ranges into a total range and a confidence score
+ * Confidence is 1 minus the relative half-width of the total range, so an
+ * order dominated by guessed values scores lower than one built from curated data.
+ * @param {Object} components - { food, packaging, travel } ranges
+ * @param {number} total - Central total estimate in kg CO₂e
+ * @return {Object} - { food, packaging, travel, total: { low, high }, confidence }
+ */
+function summarizeUncertainty(components, total) {
+  const parts = Object.values(components);
+  const low = parts.reduce((sum, part) => sum + parseFloat(part.low), 0);
+  const high = parts.reduce((sum, part) => sum + parseFloat(part.high), 0);
+  const confidence = total > 0 ? Math.max(0, 1 - (high - low) / (2 * total)) : 1;
+
+  return {
+    ...components,
+    total: { low: low.toFixed(2), high: high.toFixed(2) },
+    confidence: parseFloat(confidence.toFixed(2))
+  };
+}
+
+/**
+ * Find a dish in the overrides, RECIPE_DB or the offline knowledge base
+ * @param {string} dishName - Dish name without quantity or portion
+ * @param {Object} context - { userId, restaurantName } used to find dish overrides
+ * @return {Promise<Object|null>} - { recipe, ingredients, source, exact } or null when not known locally
+ */
+async function findKnownRecipe(dishName, context) {
+  // Overrides win, then our database, then the offline knowledge base
+  let override = null;
+  try {
+    override = await findOverride(dishName, context);
+  } catch (err) {
+    console.error(`Error looking up dish override for ${dishName}:`, err.message);
+  }
+
+  if (override) {
+    console.log(`[DEBUG] Using override for ${dishName}: ${override.recipe}`);
+    return { recipe: override.recipe, ingredients: override.ingredients, source: "override", exact: true };
+  }
+  if (RECIPE_DB[dishName]) {
+    console.log(`[DEBUG] Found recipe in database: ${dishName}`);
+    return { recipe: dishName, ingredients: RECIPE_DB[dishName], source: "recipe_db", exact: true };
+  }
+
+  const knownRecipe = matchRecipe(dishName);
+  if (knownRecipe) {
+    console.log(`[DEBUG] Matched ${dishName} to knowledge base recipe ${knownRecipe.name} (${knownRecipe.match})`);
+    return { recipe: knownRecipe.name, ingredients: knownRecipe.ingredients, source: "recipe_kb", exact: knownRecipe.match === "exact" };
+  }
+  return null;
+}
+
+/**
+ * Pick the least reliable of several food sources
+ * @param {Array} sources - Provenance tags
+ * @return {string} - Least reliable tag
+ */
+function leastReliableSource(sources) {
+  return FOOD_SOURCE_RELIABILITY.find(source => sources.includes(source)) || sources[0];
+}
+
+/**
+ * Add grams of ingredients into a running total
+ * @param {Object} total - Grams by ingredient, updated in place
+ * @param {Object} ingredients - Grams by ingredient to add
+ * @param {number} count - Times to add them
+ * @return {Object} - The updated total
+ */
+function addIngredients(total, ingredients, count = 1) {
+  for (const [ingredient, grams] of Object.entries(ingredients || {})) {
+    total[ingredient] = (total[ingredient] || 0) + grams * count;
+  }
+  return total;
+}
+
+/**
+ * Resolve a parsed dish to grams of each ingredient for one unit as ordered
+ * Combos, thalis and meals are resolved as a whole when an override or exact
+ * recipe exists, and from their components otherwise. The portion is applied
+ * and add-ons are added on top.
+ * @param {Object} dish - Parsed dish from dishParser
+ * @param {Object} context - { userId, restaurantName } used to find dish overrides
+ * @return {Promise<Object>} - { recipe, ingredients, source, components: names of the expanded components }
+ */
+async function resolveParsedDish(dish, context) {
+  let resolved = null;
+  let components = [];
+
+  if (dish.components.length > 0) {
+    const known = await findKnownRecipe(dish.baseName, context);
+    if (known && known.exact) {
+      resolved = known;
+    } else {
+      console.log(`[DEBUG] Expanding ${dish.name} into ${dish.components.map(component => component.baseName).join(", ")}`);
+      const ingredients = {};
+      const recipes = [];
+      const sources = [];
+      for (const component of dish.components) {
+        const part = await resolveParsedDish(component, context);
+        addIngredients(ingredients, part.ingredients, component.quantity);
+        recipes.push(part.recipe || component.baseName);
+        sources.push(part.source);
+      }
+      resolved = { recipe: recipes.join(" + "), ingredients, source: leastReliableSource(sources) };
+      components = dish.components.map(component => component.baseName);
+    }
+  } else {
+    resolved = await findKnownRecipe(dish.baseName, context);
+    if (!resolved) {
+      // Otherwise fetch from API or estimate
+      console.log(`[DEBUG] Fetching ingredients for: ${dish.baseName}`);
+      resolved = await fetchIngredientsFromAPI(dish.baseName);
+    }
+  }
+
+  const ingredients = addIngredients({}, applyPortion(resolved.ingredients, dish.portion));
+  const sources = [resolved.source];
+  for (const addOn of dish.addOns) {
+    const extra = addOn.ingredients ? { ingredients: addOn.ingredients } : await resolveParsedDish(addOn, context);
+    addIngredients(ingredients, extra.ingredients, addOn.quantity);
+    if (extra.source) sources.push(extra.source);
+  }
+
+  return { recipe: resolved.recipe, ingredients, source: leastReliableSource(sources), components };
+}
+
 /**
  * Main function to calculate total food, packaging, and travel emissions
- * @param {string} dishString - String of dishes in format "2 x butter chicken, 1 x naan"
+ * @param {string} dishString - String of dishes in format "2 x butter chicken, 1 x naan (half) + extra butter"
  * @param {number|Object} travelDetails - Distance in km or detailed travel object
- * @param {string} packagingType - Type of packaging (plastic, paper, etc.)
- * @return {Object} - Detailed emissions breakdown
+ * @param {string} [packagingType] - Type of packaging (plastic, paper, etc.), assumed plastic when not given
+ * @param {Object} [context] - { userId, restaurantName } used to find dish overrides
+ * @return {Object} - Detailed emissions breakdown, with low/high ranges and provenance in `uncertainty`
  */
-async function calculateFoodEmission(dishString, travelDetails = 0, packagingType = "plastic") {
+async function calculateFoodEmission(dishString, travelDetails = 0, packagingType, context = {}) {
   console.log(`[DEBUG] calculateFoodEmission called with dishString: "${dishString}", travelDetails: ${JSON.stringify(travelDetails)}`);
+  await refreshFactorDataset();
+
+  const travelSource = getTravelSource(travelDetails);
+  const packagingSource = PACKAGING_EMISSIONS[packagingType] ? "specified_packaging" : "default_packaging";
+  packagingType = packagingType || DEFAULT_PACKAGING.type;
   
   // Handle empty dishes
   if (!dishString) {
@@ -761,13 +1066,16 @@ async function calculateFoodEmission(dishString, travelDetails = 0, packagingTyp
     let travelEmission = 0;
     let travelDistance = 0;
     let transportType = DEFAULT_TRANSPORT;
+    let trip = applyTripShape(0, "one-way");
     
     if (typeof travelDetails === 'object' && travelDetails.distance) {
       travelDistance = travelDetails.distance;
-      transportType = travelDetails.transportType || DEFAULT_TRANSPORT;
-      travelEmission = travelDistance * (travelDetails.emissionFactor || TRAVEL_EMISSIONS[transportType]);
+      transportType = normalizeTransportMode(travelDetails.transportType) || DEFAULT_TRANSPORT;
+      trip = applyTripShape(travelDistance, travelDetails.tripShape);
+      travelEmission = trip.distance * (travelDetails.emissionFactor || TRAVEL_EMISSIONS[transportType]);
     } else if (typeof travelDetails === 'number') {
       travelDistance = travelDetails;
+      trip = applyTripShape(travelDistance, "one-way");
       travelEmission = travelDistance * TRAVEL_EMISSIONS[transportType];
     }
     
@@ -777,7 +1085,14 @@ async function calculateFoodEmission(dishString, travelDetails = 0, packagingTyp
       travel: travelEmission.toFixed(2),
       travelDistance: travelDistance.toFixed(2),
       transportType,
+      trip,
       total: travelEmission.toFixed(2),
+      factorVersion: activeFactorVersion,
+      uncertainty: summarizeUncertainty({
+        food: buildEstimateRange(0, "none"),
+        packaging: buildEstimateRange(0, "none"),
+        travel: buildEstimateRange(travelEmission, travelSource)
+      }, travelEmission),
       details: {
         dishes: [],
         ingredients: {}
@@ -785,9 +1100,9 @@ async function calculateFoodEmission(dishString, travelDetails = 0, packagingTyp
     };
   }
   
-  // Parse dishes from the input string
-  const dishes = dishString.toLowerCase().split(",").map(s => s.trim());
-  console.log(`[DEBUG] Parsed dishes: ${JSON.stringify(dishes)}`);
+  // Parse dishes, portions, combos and add-ons from the input string
+  const dishes = parseDishString(dishString.toLowerCase());
+  console.log(`[DEBUG] Parsed dishes: ${JSON.stringify(dishes.map(dish => dish.name))}`);
   
   let totalFoodEmission = 0.0;
   let totalDishCount = 0;
@@ -795,29 +1110,13 @@ async function calculateFoodEmission(dishString, travelDetails = 0, packagingTyp
   let dishDetails = [];
 
   // Process each dish
-  for (const item of dishes) {
-    const match = item.match(/(\d+) x (.+)/);
-    if (!match) {
-      console.log(`[DEBUG] Skipping item with invalid format: ${item}`);
-      continue;
-    }
-
-    const count = parseInt(match[1]);
-    const dishName = match[2].trim();
+  for (const dish of dishes) {
+    const count = dish.quantity;
+    const dishName = dish.name;
     console.log(`[DEBUG] Processing dish: ${count} x ${dishName}`);
     totalDishCount += count;
-    
-    let ingredients = {};
 
-    // Try to find recipe in our database first
-    if (RECIPE_DB[dishName]) {
-      console.log(`[DEBUG] Found recipe in database: ${dishName}`);
-      ingredients = RECIPE_DB[dishName];
-    } else {
-      // Otherwise fetch from API or estimate
-      console.log(`[DEBUG] Fetching ingredients for: ${dishName}`);
-      ingredients = await fetchIngredientsFromAPI(dishName);
-    }
+    const { recipe, ingredients, source, components } = await resolveParsedDish(dish, context);
 
     console.log(`[DEBUG] Ingredients for ${dishName}: ${JSON.stringify(ingredients)}`);
 
@@ -841,8 +1140,13 @@ async function calculateFoodEmission(dishString, travelDetails = 0, packagingTyp
     dishDetails.push({
       name: dishName,
       count,
+      portion: dish.portion ? dish.portion.label : null,
+      components,
+      addOns: dish.addOns.map(addOn => addOn.baseName),
       emission: emission.toFixed(2),
       totalEmission: (emission * count).toFixed(2),
+      recipe,
+      source,
       ingredients
     });
   }
@@ -866,20 +1170,24 @@ async function calculateFoodEmission(dishString, travelDetails = 0, packagingTyp
   let travelEmission;
   let travelDistance;
   let transportType = DEFAULT_TRANSPORT;
+  let trip;
   
   if (typeof travelDetails === 'object' && travelDetails.distance) {
-    // Use new detailed travel calculation
+    // Use new detailed travel calculation; the trip shape decides how much riding the order is charged for
     travelDistance = travelDetails.distance;
-    transportType = travelDetails.transportType || DEFAULT_TRANSPORT;
-    travelEmission = travelDistance * (travelDetails.emissionFactor || TRAVEL_EMISSIONS[transportType]);
+    transportType = normalizeTransportMode(travelDetails.transportType) || DEFAULT_TRANSPORT;
+    trip = applyTripShape(travelDistance, travelDetails.tripShape);
+    travelEmission = trip.distance * (travelDetails.emissionFactor || TRAVEL_EMISSIONS[transportType]);
   } else if (typeof travelDetails === 'number') {
     // Fallback to old method for backward compatibility
     travelDistance = travelDetails;
     transportType = DEFAULT_TRANSPORT;
+    trip = applyTripShape(travelDistance, "one-way");
     travelEmission = travelDistance * TRAVEL_EMISSION_PER_KM;
   } else {
     // No travel details provided
     travelDistance = 0;
+    trip = applyTripShape(0, "one-way");
     travelEmission = 0;
   }
   
@@ -916,7 +1224,14 @@ async function calculateFoodEmission(dishString, travelDetails = 0, packagingTyp
     travel: travelEmission.toFixed(2),
     travelDistance: travelDistance.toFixed(2),
     transportType,
+    trip,
     total: (totalFoodEmission + packagingEmission + travelEmission).toFixed(2),
+    factorVersion: activeFactorVersion,
+    uncertainty: summarizeUncertainty({
+      food: buildFoodRange(dishDetails),
+      packaging: buildEstimateRange(packagingEmission, packagingSource),
+      travel: buildEstimateRange(travelEmission, travelSource)
+    }, totalFoodEmission + packagingEmission + travelEmission),
     details: {
       dishes: dishDetails,
       ingredients: ingredientEmissions,
@@ -961,6 +1276,14 @@ module.exports = {
   calculateFoodEmission,
   getTravelDistanceKm,
   calculatePackagingEmissions,
+  PACKAGING_EMISSIONS,
+  TRAVEL_EMISSIONS,
+  BUILTIN_FACTOR_DATASET,
+  ESTIMATE_UNCERTAINTY,
+  applyFactorDataset,
+  loadFactorDataset,
+  refreshFactorDataset,
+  getFactorVersion,
   testWithRealExample,
   computeEmissionFromIngredients,
   estimateEmissionCategory,
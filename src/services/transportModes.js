@@ -0,0 +1,53 @@
+// Transport Modes
+// ----------------------------------------------------------------------
+// The delivery vehicles the emission engine knows about. Every place that
+// stores or accepts a transport mode (Order, Emission, TRAVEL_EMISSIONS,
+// user preferences) uses these names.
+
+const TRANSPORT_MODES = [
+  'motorcycle',
+  'scooter',
+  'car',
+  'electric-car',
+  'van',
+  'bicycle',
+  'e-bicycle',
+  'walking'
+];
+
+// Assumed when neither the order nor the user's preferences name a vehicle
+const DEFAULT_TRANSPORT = 'motorcycle';
+
+// Other names for the same vehicles, including the Emission model's old bike/car/walking values
+const TRANSPORT_MODE_ALIASES = {
+  bike: 'motorcycle',
+  motorbike: 'motorcycle',
+  'two-wheeler': 'motorcycle',
+  'e-scooter': 'scooter',
+  'electric-scooter': 'scooter',
+  ev: 'electric-car',
+  'e-car': 'electric-car',
+  cycle: 'bicycle',
+  'e-bike': 'e-bicycle',
+  'electric-bicycle': 'e-bicycle',
+  walk: 'walking',
+  foot: 'walking'
+};
+
+/**
+ * Map a transport mode or one of its aliases to its canonical name
+ * @param {string} mode - e.g. "Bike", "e-bike", "electric car"
+ * @return {string|null} - One of TRANSPORT_MODES, null when unknown
+ */
+function normalizeTransportMode(mode) {
+  if (typeof mode !== 'string') return null;
+  const key = mode.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (TRANSPORT_MODES.includes(key)) return key;
+  return TRANSPORT_MODE_ALIASES[key] || null;
+}
+
+module.exports = {
+  TRANSPORT_MODES,
+  DEFAULT_TRANSPORT,
+  normalizeTransportMode
+};
@@ -0,0 +1,100 @@
+// Delivery Trip Shapes
+// ----------------------------------------------------------------------
+// How much riding an order is charged for, given the restaurant-to-customer
+// distance. The shape is set for the whole deployment with TRIP_SHAPE and
+// recorded on every order so reports can state the methodology used.
+
+// Trip shapes and how the distance charged to one order is worked out
+const TRIP_SHAPES = {
+  'one-way': {
+    description: 'Restaurant to customer only',
+    formula: 'delivery'
+  },
+  'round-trip': {
+    description: 'Restaurant to customer, plus the rider riding back',
+    formula: '2 × delivery'
+  },
+  'pickup-leg': {
+    description: 'The rider reaching the restaurant (estimated), plus restaurant to customer',
+    formula: 'pickup leg + delivery'
+  },
+  batched: {
+    description: "This order's share of a multi-drop route: one pickup leg and the drops, split between the orders in the batch",
+    formula: '(pickup leg + delivery × (1 + detour × (batch size - 1))) / batch size'
+  }
+};
+
+const DEFAULT_TRIP_SHAPE = 'one-way';
+
+// Assumed ride to the restaurant, in km, when the rider's position is unknown
+const DEFAULT_PICKUP_LEG_KM = 2;
+
+// Orders carried together on a batched route
+const DEFAULT_BATCH_SIZE = 2;
+
+// Extra riding each further drop adds, as a share of the delivery distance
+const DEFAULT_BATCH_DETOUR = 0.5;
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @return {number}
+ */
+function readPositiveNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * The trip model in use, from TRIP_SHAPE, PICKUP_LEG_KM, BATCH_SIZE and BATCH_DETOUR
+ * @return {Object} - { shape, pickupLegKm, batchSize, batchDetour }
+ */
+function getTripModel() {
+  const shape = TRIP_SHAPES[process.env.TRIP_SHAPE] ? process.env.TRIP_SHAPE : DEFAULT_TRIP_SHAPE;
+  return {
+    shape,
+    pickupLegKm: readPositiveNumber('PICKUP_LEG_KM', DEFAULT_PICKUP_LEG_KM),
+    batchSize: Math.max(1, Math.round(readPositiveNumber('BATCH_SIZE', DEFAULT_BATCH_SIZE))),
+    batchDetour: readPositiveNumber('BATCH_DETOUR', DEFAULT_BATCH_DETOUR)
+  };
+}
+
+/**
+ * Work out the distance charged to an order
+ * @param {number} deliveryKm - Restaurant to customer distance
+ * @param {string} [shape] - Trip shape, defaults to the configured one
+ * @return {Object} - { shape, distance, pickupLegKm?, batchSize? }
+ */
+function applyTripShape(deliveryKm, shape) {
+  const model = getTripModel();
+  const tripShape = TRIP_SHAPES[shape] ? shape : model.shape;
+
+  let distance;
+  switch (tripShape) {
+    case 'round-trip':
+      distance = 2 * deliveryKm;
+      break;
+    case 'pickup-leg':
+      distance = model.pickupLegKm + deliveryKm;
+      break;
+    case 'batched':
+      distance = (model.pickupLegKm + deliveryKm * (1 + model.batchDetour * (model.batchSize - 1))) / model.batchSize;
+      break;
+    default:
+      distance = deliveryKm;
+  }
+
+  return {
+    shape: tripShape,
+    distance: parseFloat(distance.toFixed(2)),
+    ...(['pickup-leg', 'batched'].includes(tripShape) && { pickupLegKm: model.pickupLegKm }),
+    ...(tripShape === 'batched' && { batchSize: model.batchSize })
+  };
+}
+
+module.exports = {
+  TRIP_SHAPES,
+  getTripModel,
+  applyTripShape
+};
@@ -0,0 +1,141 @@
+// Upload Parser
+// ----------------------------------------------------------------------
+// Turns uploaded .json, .har and .zip exports into import payloads
+// that can be handed to the matching extractor in src/extractors.
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { detectFormat, getExtractor } = require('../extractors');
+
+const SUPPORTED_EXTENSIONS = ['.json', '.har', '.zip'];
+
+/**
+ * Parse a JSON buffer, returning null when it is not valid JSON
+ * @param {Buffer|string} content - Raw file content
+ * @return {Object|Array|null} - Parsed JSON
+ */
+function parseJson(content) {
+  try {
+    return JSON.parse(content.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract order responses from a HAR capture
+ * @param {Object} har - Parsed HAR file
+ * @param {string} source - File name, for reporting
+ * @return {Object} - { payloads, skipped }
+ */
+function parseHar(har, source) {
+  const payloads = [];
+  const skipped = [];
+  const entries = har?.log?.entries || [];
+
+  for (const entry of entries) {
+    const url = entry.request?.url || '';
+    const content = entry.response?.content;
+    if (!content || !content.text) continue;
+
+    const text = content.encoding === 'base64'
+      ? Buffer.from(content.text, 'base64').toString('utf8')
+      : content.text;
+    const payload = parseJson(text);
+    const extractor = payload ? detectFormat(payload, url) : null;
+
+    // HAR files capture every request on the page; only order responses matter
+    if (!extractor) continue;
+
+    payloads.push({
+      source: `${source}: ${url}`,
+      format: extractor.id,
+      payload,
+      url
+    });
+  }
+
+  if (payloads.length === 0) {
+    skipped.push({ source, reason: 'No order responses from a supported platform found in HAR capture' });
+  }
+  return { payloads, skipped };
+}
+
+/**
+ * Parse one uploaded file into import payloads
+ * @param {string} fileName - Original file name
+ * @param {Buffer} buffer - File content
+ * @return {Object} - { payloads: [{ source, format, payload, url }], skipped: [{ source, reason }] }
+ */
+function parseUploadedFile(fileName, buffer) {
+  const extension = path.extname(fileName).toLowerCase();
+
+  if (extension === '.zip') {
+    const payloads = [];
+    const skipped = [];
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      return { payloads, skipped: [{ source: fileName, reason: 'Invalid ZIP archive' }] };
+    }
+
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory) continue;
+      const entryName = `${fileName}/${entry.entryName}`;
+      if (!SUPPORTED_EXTENSIONS.includes(path.extname(entry.entryName).toLowerCase())) {
+        skipped.push({ source: entryName, reason: 'Unsupported file type' });
+        continue;
+      }
+      const result = parseUploadedFile(entryName, entry.getData());
+      payloads.push(...result.payloads);
+      skipped.push(...result.skipped);
+    }
+    return { payloads, skipped };
+  }
+
+  if (extension === '.json' || extension === '.har') {
+    const parsed = parseJson(buffer);
+    if (!parsed) {
+      return { payloads: [], skipped: [{ source: fileName, reason: 'Invalid JSON' }] };
+    }
+
+    if (parsed.log && Array.isArray(parsed.log.entries)) {
+      return parseHar(parsed, fileName);
+    }
+
+    const extractor = detectFormat(parsed);
+    if (!extractor) {
+      return { payloads: [], skipped: [{ source: fileName, reason: 'Unrecognized order format' }] };
+    }
+    return { payloads: [{ source: fileName, format: extractor.id, payload: parsed, url: null }], skipped: [] };
+  }
+
+  return { payloads: [], skipped: [{ source: fileName, reason: 'Unsupported file type' }] };
+}
+
+/**
+ * Group parsed payloads into one import payload per format
+ * Each extractor merges its own captures, e.g. Swiggy keeps pages separate
+ * so they can be checked for gaps.
+ * @param {Array} payloads - Parsed import payloads
+ * @return {Object} - Map of extractor id -> import payload
+ */
+function groupPayloadsByFormat(payloads) {
+  const captures = {};
+  for (const { format, payload, url } of payloads) {
+    captures[format] = [...(captures[format] || []), { payload, url }];
+  }
+
+  const grouped = {};
+  for (const [format, formatCaptures] of Object.entries(captures)) {
+    grouped[format] = getExtractor(format).merge(formatCaptures);
+  }
+  return grouped;
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  parseUploadedFile,
+  groupPayloadsByFormat
+};
@@ -0,0 +1,102 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const User = require('../src/models/User');
+const EmissionFactorDataset = require('../src/models/EmissionFactorDataset');
+const { BUILTIN_FACTOR_DATASET, applyFactorDataset } = require('../src/services/totalEmissions');
+const adminRoutes = require('../src/routes/admin');
+
+const adminUser = new User({ name: 'Admin', email: 'admin@example.com', password: 'secret1', role: 'admin' });
+
+/**
+ * A query resolving to a result, whatever it is sorted or projected by
+ * @param {Object|null} result - Query result
+ * @return {Object}
+ */
+function query(result) {
+  return {
+    sort() { return this; },
+    select() { return this; },
+    lean: async () => result
+  };
+}
+
+describe('admin routes', () => {
+  let server;
+  let baseUrl;
+  let originals;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    originals = {
+      userFindById: User.findById,
+      datasetFindOne: EmissionFactorDataset.findOne,
+      datasetCreate: EmissionFactorDataset.create
+    };
+    User.findById = () => ({ select: async () => adminUser });
+    EmissionFactorDataset.findOne = () => query(null);
+  });
+
+  afterEach(() => {
+    User.findById = originals.userFindById;
+    EmissionFactorDataset.findOne = originals.datasetFindOne;
+    EmissionFactorDataset.create = originals.datasetCreate;
+    applyFactorDataset(BUILTIN_FACTOR_DATASET);
+  });
+
+  /**
+   * Publish a factor dataset as the admin
+   * @return {Promise<Response>}
+   */
+  function publish() {
+    return fetch(`${baseUrl}/factors`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET)}`
+      },
+      body: JSON.stringify({ description: 'Lower car factor', sources: [{ name: 'DEFRA' }], travel: { car: 0.15 } }),
+      // A handler that throws never answers
+      signal: AbortSignal.timeout(5000)
+    });
+  }
+
+  describe('POST /factors', () => {
+    it('answers 409 when concurrent publishes keep taking the version', async () => {
+      EmissionFactorDataset.create = async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      };
+
+      const response = await publish();
+      assert.equal(response.status, 409);
+      assert.equal((await response.json()).success, false);
+    });
+
+    it('answers 500 for other errors', async () => {
+      EmissionFactorDataset.create = async () => {
+        throw new Error('connection lost');
+      };
+
+      const response = await publish();
+      assert.equal(response.status, 500);
+      assert.equal((await response.json()).error, 'connection lost');
+    });
+  });
+});
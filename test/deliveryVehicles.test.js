@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeCity, matchDeliveryVehicle, resolveOrderCity } = require('../src/services/deliveryVehicles');
+
+const entries = [
+  { transportMode: 'motorcycle' },
+  { platform: 'Swiggy', transportMode: 'scooter' },
+  { city: 'Bangalore', transportMode: 'bicycle' },
+  { platform: 'Swiggy', city: 'Pune', transportMode: 'electric-car' }
+];
+
+describe('delivery vehicles', () => {
+  describe('normalizeCity', () => {
+    it('treats former city names and spacing alike', () => {
+      assert.equal(normalizeCity(' Bangalore '), 'bengaluru');
+      assert.equal(normalizeCity('BENGALURU'), 'bengaluru');
+      assert.equal(normalizeCity('New  Delhi'), 'new delhi');
+      assert.equal(normalizeCity(null), '');
+    });
+  });
+
+  describe('matchDeliveryVehicle', () => {
+    it('picks the most specific entry for the order city', () => {
+      assert.equal(matchDeliveryVehicle(entries, { platform: 'Swiggy', city: 'Pune' }).transportMode, 'electric-car');
+      assert.equal(matchDeliveryVehicle(entries, { platform: 'Zomato', city: 'Bengaluru' }).transportMode, 'bicycle');
+      assert.equal(matchDeliveryVehicle(entries, { platform: 'Swiggy', city: 'Chennai' }).transportMode, 'scooter');
+    });
+
+    it('skips city entries when the order city is unknown', () => {
+      assert.equal(matchDeliveryVehicle(entries, { platform: 'Zomato', city: null }).transportMode, 'motorcycle');
+      assert.equal(matchDeliveryVehicle(entries.slice(2), { platform: 'Zomato' }), null);
+    });
+
+    it('does not match a city name that is only part of another', () => {
+      const pune = [{ city: 'Pune', transportMode: 'bicycle' }];
+      assert.equal(matchDeliveryVehicle(pune, { platform: 'Zomato', city: 'Punewadi' }), null);
+    });
+  });
+
+  describe('resolveOrderCity', () => {
+    let savedProviders;
+
+    beforeEach(() => {
+      savedProviders = process.env.GEO_PROVIDERS;
+    });
+
+    afterEach(() => {
+      if (savedProviders === undefined) delete process.env.GEO_PROVIDERS;
+      else process.env.GEO_PROVIDERS = savedProviders;
+    });
+
+    it('uses the city the delivery address geocodes to', async () => {
+      process.env.GEO_PROVIDERS = 'stub';
+      const city = await resolveOrderCity({ deliveryAddress: 'Flat 402, Pune Road, Koramangala', restaurantCity: 'Pune' });
+      assert.equal(city, 'Bengaluru');
+    });
+
+    it('falls back to the restaurant city without a geocoded city', async () => {
+      process.env.GEO_PROVIDERS = 'haversine';
+      assert.equal(await resolveOrderCity({ deliveryAddress: 'Flat 402, Koramangala', restaurantCity: 'Bangalore' }), 'Bangalore');
+      assert.equal(await resolveOrderCity({ deliveryAddress: '' }), null);
+    });
+  });
+});
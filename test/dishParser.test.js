@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  splitDishString,
+  parseQuantity,
+  parseDishName,
+  parseDishString,
+  applyPortion
+} = require('../src/services/dishParser');
+const corpus = require('./fixtures/dish-names.json');
+
+/**
+ * Reduce a parsed dish to the fields recorded in the corpus
+ * @param {Object} dish - Parsed dish
+ * @return {Object}
+ */
+function summarize(dish) {
+  const portion = dish.portion && dish.portion.multiplier != null
+    ? { ...dish.portion, multiplier: parseFloat(dish.portion.multiplier.toFixed(4)) }
+    : dish.portion;
+  return {
+    quantity: dish.quantity,
+    baseName: dish.baseName,
+    portion,
+    ...(dish.components.length > 0 && { components: dish.components.map(component => component.baseName) }),
+    ...(dish.addOns.length > 0 && { addOns: dish.addOns.map(addOn => addOn.baseName) })
+  };
+}
+
+describe('dish parser', () => {
+  describe('restaurant item corpus', () => {
+    for (const { name, ...expected } of corpus) {
+      it(`parses "${name}"`, () => {
+        assert.deepEqual(summarize(parseDishName(name)), expected);
+      });
+    }
+  });
+
+  describe('quantities', () => {
+    it('does not read a leading "x" of the name as a multiplier', () => {
+      assert.deepEqual(parseQuantity('3 Xtreme Burger'), { quantity: 1, name: '3 Xtreme Burger' });
+      assert.deepEqual(parseQuantity('2 x Xtreme Burger'), { quantity: 2, name: 'Xtreme Burger' });
+      assert.deepEqual(parseQuantity('2x Xtreme Burger'), { quantity: 2, name: 'Xtreme Burger' });
+    });
+  });
+
+  describe('dish strings', () => {
+    it('splits on commas only before a quantity', () => {
+      assert.deepEqual(splitDishString('1 x Paneer, Butter Masala, 2 x Naan'), ['1 x Paneer, Butter Masala', '2 x Naan']);
+      assert.deepEqual(splitDishString('2 x Xtreme Burger, 1 x Coke'), ['2 x Xtreme Burger', '1 x Coke']);
+      assert.deepEqual(splitDishString('1 x Fries, 3 Xtreme Burger'), ['1 x Fries, 3 Xtreme Burger']);
+      assert.deepEqual(splitDishString('Paneer Tikka, Naan'), ['Paneer Tikka', 'Naan']);
+      assert.deepEqual(splitDishString(''), []);
+    });
+
+    it('parses every dish of a string', () => {
+      const dishes = parseDishString('2 x Chicken Biryani (Half) + Coke, 1 x Butter Naan');
+      assert.deepEqual(dishes.map(dish => [dish.quantity, dish.baseName]), [[2, 'chicken biryani + coke'], [1, 'butter naan']]);
+      assert.deepEqual(dishes[0].components[0].portion, { label: 'half', multiplier: 0.5 });
+    });
+  });
+
+  describe('ampersands', () => {
+    it('keeps dishes whose name contains "&" whole', () => {
+      for (const name of ['Mac & Cheese', 'Sweet & Sour Chicken', 'Hot & Sour Soup', 'Fish & Chips']) {
+        assert.deepEqual(parseDishName(name).components, [], name);
+      }
+    });
+
+    it('splits "&" between two known dishes', () => {
+      const dish = parseDishName('Butter Chicken & Butter Naan');
+      assert.deepEqual(dish.components.map(component => component.baseName), ['butter chicken', 'butter naan']);
+    });
+
+    it('never produces empty components', () => {
+      for (const name of ['Half & Half Pizza', 'Paneer Roll + (Large)', 'Burger + + Fries', 'Fries & ']) {
+        const dish = parseDishName(name);
+        assert.ok(dish.baseName, name);
+        assert.ok(dish.components.every(component => component.baseName), name);
+      }
+    });
+  });
+
+  describe('applyPortion', () => {
+    it('scales by a multiplier', () => {
+      assert.deepEqual(applyPortion({ rice: 150, chicken: 100 }, { multiplier: 0.5 }), { rice: 75, chicken: 50 });
+    });
+
+    it('scales to a weight', () => {
+      assert.deepEqual(applyPortion({ rice: 150, chicken: 100 }, { grams: 500 }), { rice: 300, chicken: 200 });
+    });
+
+    it('leaves a standard serving unchanged', () => {
+      const ingredients = { rice: 150 };
+      assert.equal(applyPortion(ingredients, null), ingredients);
+    });
+  });
+});
@@ -0,0 +1,297 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../src/models/Order');
+const {
+  getBucketStart,
+  parseZonedDate,
+  buildTrendPipeline,
+  buildTrendSeries,
+  normalizeTrendOptions,
+  getOrderEmissionTrends,
+  checkTrendSupport
+} = require('../src/services/emissionTrends');
+
+const source = {
+  match: { user: 'user1' },
+  dateField: 'orderDate',
+  fields: { total: '$total', transport: '$transport', packaging: '$packaging', food: '$food' }
+};
+
+/**
+ * Find the pipeline stage with an operator
+ * @param {Array} pipeline - Aggregation pipeline
+ * @param {string} operator - e.g. "$group"
+ * @return {Array} - Matching stages' contents
+ */
+const stages = (pipeline, operator) => pipeline.filter(stage => stage[operator]).map(stage => stage[operator]);
+
+/**
+ * Build a pipeline bucket
+ * @param {string} start - Bucket start
+ * @param {number} orderCount - Orders in the bucket
+ * @param {number} totalEmission - Their total emission
+ * @return {Object}
+ */
+const bucket = (start, orderCount, totalEmission) => ({
+  start: new Date(start),
+  orderCount,
+  totalEmission,
+  transportEmission: 0,
+  packagingEmission: 0,
+  foodEmission: totalEmission
+});
+
+describe('emission trends', () => {
+  describe('getBucketStart', () => {
+    it('starts days at local midnight', () => {
+      const evening = new Date('2025-03-01T20:00:00Z');
+      assert.equal(getBucketStart(evening, 'day', 'UTC').toISOString(), '2025-03-01T00:00:00.000Z');
+      // Already March 2 in India
+      assert.equal(getBucketStart(evening, 'day', 'Asia/Kolkata').toISOString(), '2025-03-01T18:30:00.000Z');
+    });
+
+    it('starts weeks on Monday', () => {
+      // A Wednesday, and the Sunday night before the next Monday
+      assert.equal(getBucketStart(new Date('2025-01-29T12:00:00Z'), 'week', 'UTC').toISOString(), '2025-01-27T00:00:00.000Z');
+      assert.equal(getBucketStart(new Date('2025-02-02T23:59:00Z'), 'week', 'UTC').toISOString(), '2025-01-27T00:00:00.000Z');
+      assert.equal(getBucketStart(new Date('2025-02-02T23:59:00Z'), 'week', 'Asia/Kolkata').toISOString(), '2025-02-02T18:30:00.000Z');
+    });
+
+    it('starts months and years in the timezone', () => {
+      const newYear = new Date('2024-12-31T20:00:00Z');
+      assert.equal(getBucketStart(newYear, 'month', 'UTC').toISOString(), '2024-12-01T00:00:00.000Z');
+      assert.equal(getBucketStart(newYear, 'month', 'Asia/Kolkata').toISOString(), '2024-12-31T18:30:00.000Z');
+      assert.equal(getBucketStart(newYear, 'year', 'Asia/Kolkata').toISOString(), '2024-12-31T18:30:00.000Z');
+      assert.equal(getBucketStart(newYear, 'year', 'America/New_York').toISOString(), '2024-01-01T05:00:00.000Z');
+    });
+
+    it('moves back whole buckets across year ends and DST changes', () => {
+      assert.equal(getBucketStart(new Date('2025-02-15T00:00:00Z'), 'month', 'Asia/Kolkata', 2).toISOString(), '2024-11-30T18:30:00.000Z');
+      // New York moved to daylight saving time on 2025-03-09
+      assert.equal(getBucketStart(new Date('2025-03-10T12:00:00Z'), 'day', 'America/New_York').toISOString(), '2025-03-10T04:00:00.000Z');
+      assert.equal(getBucketStart(new Date('2025-03-10T12:00:00Z'), 'day', 'America/New_York', 1).toISOString(), '2025-03-09T05:00:00.000Z');
+      assert.equal(getBucketStart(new Date('2025-01-08T12:00:00Z'), 'week', 'UTC', 2).toISOString(), '2024-12-23T00:00:00.000Z');
+    });
+  });
+
+  describe('buildTrendPipeline', () => {
+    const options = {
+      from: new Date('2025-03-15T00:00:00Z'),
+      to: new Date('2025-06-01T00:00:00Z'),
+      granularity: 'month',
+      timezone: 'Asia/Kolkata',
+      window: 3
+    };
+
+    it('matches the padded date range without $expr', () => {
+      const [match] = stages(buildTrendPipeline(source, options), '$match');
+
+      assert.deepEqual(match, {
+        user: 'user1',
+        // Two months before March in India, for the first moving averages
+        orderDate: { $gte: new Date('2024-12-31T18:30:00Z'), $lt: options.to }
+      });
+    });
+
+    it('returns the padding buckets for buildTrendSeries to average and drop', () => {
+      const pipeline = buildTrendPipeline(source, options);
+
+      assert.equal(stages(pipeline, '$match').length, 1);
+      assert.deepEqual(stages(pipeline, '$setWindowFields'), []);
+      assert.equal(stages(pipeline, '$project')[0].movingAverage, undefined);
+    });
+
+    it('matches only the user without a date range', () => {
+      const pipeline = buildTrendPipeline(source, { ...options, from: null, to: null });
+      assert.deepEqual(stages(pipeline, '$match'), [{ user: 'user1' }]);
+    });
+
+    it('buckets by the granularity in the timezone', () => {
+      const [group] = stages(buildTrendPipeline(source, { ...options, granularity: 'week' }), '$group');
+      assert.deepEqual(group._id, {
+        $dateTrunc: { date: '$orderDate', unit: 'week', timezone: 'Asia/Kolkata', startOfWeek: 'monday' }
+      });
+    });
+  });
+
+  describe('buildTrendSeries', () => {
+    const options = {
+      from: new Date('2025-03-01T00:00:00Z'),
+      to: new Date('2025-07-01T00:00:00Z'),
+      granularity: 'month',
+      timezone: 'UTC',
+      window: 3
+    };
+
+    it('fills periods without orders with zero', () => {
+      // Nothing in April or June
+      const series = buildTrendSeries([
+        bucket('2025-03-01T00:00:00Z', 2, 6),
+        bucket('2025-05-01T00:00:00Z', 1, 3)
+      ], options, true);
+
+      assert.deepEqual(series.map(entry => entry.start.toISOString()), [
+        '2025-03-01T00:00:00.000Z',
+        '2025-04-01T00:00:00.000Z',
+        '2025-05-01T00:00:00.000Z',
+        '2025-06-01T00:00:00.000Z'
+      ]);
+      assert.deepEqual(series[1], {
+        start: new Date('2025-04-01T00:00:00Z'),
+        orderCount: 0,
+        totalEmission: 0,
+        transportEmission: 0,
+        packagingEmission: 0,
+        foodEmission: 0,
+        emissionRange: { low: 0, high: 0 },
+        movingAverage: { totalEmission: 2, orderCount: 0.6667, emissionPerOrder: 3 }
+      });
+    });
+
+    it('averages over the filled series and drops the padding buckets', () => {
+      // January is padding for March's average, February is empty
+      const series = buildTrendSeries([
+        bucket('2025-01-01T00:00:00Z', 3, 9),
+        bucket('2025-03-01T00:00:00Z', 1, 3),
+        bucket('2025-05-01T00:00:00Z', 1, 6)
+      ], options);
+
+      assert.equal(series[0].start.toISOString(), '2025-03-01T00:00:00.000Z');
+      assert.deepEqual(series.map(entry => entry.movingAverage), [
+        { totalEmission: 4, orderCount: 1.3333, emissionPerOrder: 3 },
+        { totalEmission: 1, orderCount: 0.3333, emissionPerOrder: 3 },
+        { totalEmission: 3, orderCount: 0.6667, emissionPerOrder: 4.5 },
+        { totalEmission: 2, orderCount: 0.3333, emissionPerOrder: 6 }
+      ]);
+      assert.equal(series[3].emissionRange, undefined);
+    });
+
+    it('gives no emission per order for a window without orders', () => {
+      const series = buildTrendSeries([], { ...options, window: 1 });
+
+      assert.equal(series.length, 4);
+      assert.ok(series.every(entry => entry.orderCount === 0 && entry.movingAverage.emissionPerOrder === null));
+    });
+
+    it('fills weeks in the timezone up to the one before to', () => {
+      const series = buildTrendSeries([bucket('2025-02-02T18:30:00Z', 1, 1)], {
+        from: new Date('2025-01-26T18:30:00Z'),
+        to: new Date('2025-02-16T18:30:00Z'),
+        granularity: 'week',
+        timezone: 'Asia/Kolkata',
+        window: 1
+      });
+
+      assert.deepEqual(series.map(entry => [entry.start.toISOString(), entry.orderCount]), [
+        ['2025-01-26T18:30:00.000Z', 0],
+        ['2025-02-02T18:30:00.000Z', 1],
+        ['2025-02-09T18:30:00.000Z', 0]
+      ]);
+    });
+
+    it('runs from the first to the last bucket without a range', () => {
+      const series = buildTrendSeries([
+        bucket('2025-01-01T00:00:00Z', 1, 1),
+        bucket('2025-03-01T00:00:00Z', 1, 1)
+      ], { ...options, from: null, to: null });
+
+      assert.deepEqual(series.map(entry => entry.orderCount), [1, 0, 1]);
+      assert.deepEqual(buildTrendSeries([], { ...options, from: null, to: null }), []);
+    });
+  });
+
+  describe('getOrderEmissionTrends', () => {
+    const originalAggregate = Order.aggregate;
+
+    afterEach(() => {
+      Order.aggregate = originalAggregate;
+    });
+
+    it('lists an empty month in the requested range as a zero bucket', async () => {
+      Order.aggregate = async () => [
+        { ...bucket('2025-01-31T18:30:00Z', 2, 4), emissionRange: { low: 3, high: 5 } },
+        { ...bucket('2025-03-31T18:30:00Z', 1, 2), emissionRange: { low: 1, high: 3 } }
+      ];
+
+      const trends = await getOrderEmissionTrends(new mongoose.Types.ObjectId().toString(), {
+        from: '2025-02-01',
+        to: '2025-05-01',
+        timezone: 'Asia/Kolkata',
+        window: 1
+      });
+
+      assert.equal(trends.to.toISOString(), '2025-04-30T18:30:00.000Z');
+      assert.deepEqual(trends.buckets.map(entry => [entry.start.toISOString(), entry.orderCount, entry.emissionRange]), [
+        ['2025-01-31T18:30:00.000Z', 2, { low: 3, high: 5 }],
+        ['2025-02-28T18:30:00.000Z', 0, { low: 0, high: 0 }],
+        ['2025-03-31T18:30:00.000Z', 1, { low: 1, high: 3 }]
+      ]);
+    });
+  });
+
+  describe('parseZonedDate', () => {
+    it('reads dates and times without an offset in the timezone', () => {
+      assert.equal(parseZonedDate('2025-03-31', 'Asia/Kolkata').toISOString(), '2025-03-30T18:30:00.000Z');
+      assert.equal(parseZonedDate('2025-03-31T06:15', 'Asia/Kolkata').toISOString(), '2025-03-31T00:45:00.000Z');
+      assert.equal(parseZonedDate('2025-07-01T00:00:00.5', 'America/New_York').toISOString(), '2025-07-01T04:00:00.500Z');
+    });
+
+    it('keeps an explicit offset', () => {
+      assert.equal(parseZonedDate('2025-03-31T00:00:00Z', 'Asia/Kolkata').toISOString(), '2025-03-31T00:00:00.000Z');
+      assert.equal(parseZonedDate('2025-03-31T00:00:00+01:00', 'Asia/Kolkata').toISOString(), '2025-03-30T23:00:00.000Z');
+    });
+  });
+
+  describe('normalizeTrendOptions', () => {
+    it('falls back to monthly UTC buckets and a three bucket window', () => {
+      assert.deepEqual(normalizeTrendOptions({ granularity: 'hour', timezone: 'Mars/Olympus', window: '0' }), {
+        from: null,
+        to: null,
+        granularity: 'month',
+        timezone: 'UTC',
+        window: 3
+      });
+    });
+
+    it('reads from and to in the timezone', () => {
+      const { from, to } = normalizeTrendOptions({ from: '2025-01-01', to: '2025-03-31', timezone: 'Asia/Kolkata' });
+      assert.equal(from.toISOString(), '2024-12-31T18:30:00.000Z');
+      assert.equal(to.toISOString(), '2025-03-30T18:30:00.000Z');
+    });
+  });
+
+  describe('checkTrendSupport', () => {
+    afterEach(() => {
+      delete mongoose.connection.db;
+    });
+
+    /**
+     * Pretend to be connected to a server version
+     * @param {string} version - e.g. "4.4.29"
+     */
+    const connectTo = version => {
+      Object.defineProperty(mongoose.connection, 'db', {
+        value: { admin: () => ({ serverInfo: async () => ({ version }) }) },
+        configurable: true
+      });
+    };
+
+    it('accepts MongoDB 5.0 and later', async () => {
+      connectTo('5.0.31');
+      assert.equal(await checkTrendSupport(), true);
+      connectTo('7.0.14');
+      assert.equal(await checkTrendSupport(), true);
+    });
+
+    it('warns about older servers', async () => {
+      connectTo('4.4.29');
+      assert.equal(await checkTrendSupport(), false);
+    });
+
+    it('does not stop startup when the version cannot be read', async () => {
+      assert.equal(await checkTrendSupport(), null);
+    });
+  });
+});
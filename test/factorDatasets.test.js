@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const EmissionFactorDataset = require('../src/models/EmissionFactorDataset');
+const {
+  BUILTIN_FACTOR_DATASET,
+  TRAVEL_EMISSIONS,
+  applyFactorDataset,
+  getFactorVersion,
+  refreshFactorDataset
+} = require('../src/services/totalEmissions');
+const { publishFactorDataset } = require('../src/services/factorDatasets');
+
+/**
+ * A stored dataset at a version, with one changed travel factor
+ * @param {number} version - Dataset version
+ * @return {Object}
+ */
+function dataset(version) {
+  return {
+    ...structuredClone(BUILTIN_FACTOR_DATASET),
+    version,
+    travel: { ...BUILTIN_FACTOR_DATASET.travel, motorcycle: 0.1 * version }
+  };
+}
+
+/**
+ * A query resolving to a result, whatever it is sorted or projected by
+ * @param {Object|null} result - Query result
+ * @return {Object}
+ */
+function query(result) {
+  return {
+    sort() { return this; },
+    select() { return this; },
+    lean: async () => result
+  };
+}
+
+/**
+ * The error MongoDB reports for a version that is already taken
+ * @return {Error}
+ */
+function duplicateVersion() {
+  return Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+}
+
+describe('factor datasets', () => {
+  let originals;
+
+  beforeEach(() => {
+    originals = { findOne: EmissionFactorDataset.findOne, create: EmissionFactorDataset.create };
+  });
+
+  afterEach(() => {
+    EmissionFactorDataset.findOne = originals.findOne;
+    EmissionFactorDataset.create = originals.create;
+    applyFactorDataset(BUILTIN_FACTOR_DATASET);
+  });
+
+  describe('publishFactorDataset', () => {
+    const input = { description: 'Lower motorcycle factor', sources: [{ name: 'DEFRA' }], travel: { car: 0.2 } };
+
+    it('publishes over the newest version when another publish took the next one', async () => {
+      const latest = [dataset(1), dataset(2)];
+      const versions = [];
+      EmissionFactorDataset.findOne = () => query(latest.shift());
+      EmissionFactorDataset.create = async fields => {
+        versions.push(fields.version);
+        if (fields.version === 2) throw duplicateVersion();
+        return { ...fields, toObject: () => fields };
+      };
+
+      const published = await publishFactorDataset(input, 'admin1');
+
+      assert.deepEqual(versions, [2, 3]);
+      assert.equal(published.version, 3);
+      assert.equal(published.travel.motorcycle, 0.2);
+      assert.equal(published.travel.car, 0.2);
+      assert.equal(getFactorVersion(), 3);
+    });
+
+    it('gives up with the duplicate key error after repeated conflicts', async () => {
+      let attempts = 0;
+      EmissionFactorDataset.findOne = () => query(dataset(1));
+      EmissionFactorDataset.create = async () => {
+        attempts += 1;
+        throw duplicateVersion();
+      };
+
+      await assert.rejects(publishFactorDataset(input, 'admin1'), { code: 11000 });
+      assert.equal(attempts, 3);
+      assert.equal(getFactorVersion(), 0);
+    });
+
+    it('does not retry other errors', async () => {
+      let attempts = 0;
+      EmissionFactorDataset.findOne = () => query(null);
+      EmissionFactorDataset.create = async () => {
+        attempts += 1;
+        throw new Error('validation failed');
+      };
+
+      await assert.rejects(publishFactorDataset(input, 'admin1'), /validation failed/);
+      assert.equal(attempts, 1);
+    });
+  });
+
+  describe('refreshFactorDataset', () => {
+    let stored;
+    let reads;
+
+    beforeEach(() => {
+      Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+      process.env.FACTOR_DATASET_REFRESH_SECONDS = '0';
+      stored = dataset(2);
+      reads = [];
+      EmissionFactorDataset.findOne = () => {
+        const read = query(stored);
+        read.select = function (fields) {
+          reads.push(fields);
+          return this;
+        };
+        return read;
+      };
+    });
+
+    afterEach(() => {
+      delete mongoose.connection.readyState;
+      delete process.env.FACTOR_DATASET_REFRESH_SECONDS;
+    });
+
+    it('switches to a dataset published by another instance', async () => {
+      assert.equal(await refreshFactorDataset(), 2);
+      assert.equal(TRAVEL_EMISSIONS.motorcycle, 0.2);
+    });
+
+    it('only reads the version while it is unchanged', async () => {
+      applyFactorDataset(stored);
+      assert.equal(await refreshFactorDataset(), 2);
+      assert.deepEqual(reads, ['version']);
+    });
+
+    it('checks at most once per refresh interval', async () => {
+      await refreshFactorDataset();
+      process.env.FACTOR_DATASET_REFRESH_SECONDS = '60';
+      stored = dataset(3);
+
+      assert.equal(await refreshFactorDataset(), 2);
+      assert.deepEqual(reads, ['version']);
+    });
+
+    it('keeps the tables in use when the check fails', async () => {
+      EmissionFactorDataset.findOne = () => ({ ...query(null), lean: async () => { throw new Error('not connected'); } });
+      assert.equal(await refreshFactorDataset(), 0);
+    });
+  });
+});
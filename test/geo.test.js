@@ -0,0 +1,192 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { registerGeoProvider, getActiveGeoProviders, geocodeAddress, routeDistance } = require('../src/geo');
+const { getProviderTimeout } = require('../src/geo/timeout');
+const { getTravelDistanceKm } = require('../src/services/totalEmissions');
+
+const ENV_KEYS = ['GEO_PROVIDERS', 'GEO_TIMEOUT_MS', 'GEO_NOMINATIM_TIMEOUT_MS', 'NOMINATIM_URL'];
+
+// Providers that fail in different ways, recording the order they are called in
+const calls = [];
+registerGeoProvider({
+  id: 'test-throws',
+  isConfigured: () => true,
+  isDefault: false,
+  geocode: async () => {
+    calls.push('test-throws');
+    throw new Error('service unavailable');
+  },
+  route: async () => {
+    calls.push('test-throws');
+    throw new Error('service unavailable');
+  }
+});
+registerGeoProvider({
+  id: 'test-empty',
+  isConfigured: () => true,
+  isDefault: false,
+  geocode: async () => {
+    calls.push('test-empty');
+    return null;
+  },
+  route: async () => {
+    calls.push('test-empty');
+    return null;
+  }
+});
+registerGeoProvider({
+  id: 'test-unconfigured',
+  isConfigured: () => false,
+  isDefault: false,
+  geocode: async () => {
+    calls.push('test-unconfigured');
+    return { lat: 0, lng: 0 };
+  }
+});
+registerGeoProvider({
+  id: 'test-geocode-only',
+  isConfigured: () => true,
+  isDefault: false,
+  geocode: async () => ({ lat: 12.97, lng: 77.59 })
+});
+
+describe('geo providers', () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    calls.length = 0;
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  describe('getProviderTimeout', () => {
+    it('defaults to 5 seconds', () => {
+      assert.equal(getProviderTimeout('nominatim'), 5000);
+    });
+
+    it('reads the shared and per-provider settings', () => {
+      process.env.GEO_TIMEOUT_MS = '2000';
+      process.env.GEO_NOMINATIM_TIMEOUT_MS = '8000';
+      assert.equal(getProviderTimeout('nominatim'), 8000);
+      assert.equal(getProviderTimeout('ors'), 2000);
+    });
+
+    it('ignores invalid values', () => {
+      process.env.GEO_TIMEOUT_MS = 'soon';
+      assert.equal(getProviderTimeout('osrm'), 5000);
+    });
+  });
+
+  describe('fallback order', () => {
+    it('lists configured providers in GEO_PROVIDERS order', () => {
+      process.env.GEO_PROVIDERS = 'stub, test-unconfigured, test-empty, unknown, test-throws';
+      assert.deepEqual(getActiveGeoProviders('geocode').map(provider => provider.id), ['stub', 'test-empty', 'test-throws']);
+    });
+
+    it('leaves the stub and test providers out by default', () => {
+      const ids = getActiveGeoProviders('route').map(provider => provider.id);
+      assert.ok(ids.includes('haversine'));
+      assert.ok(!ids.includes('stub'));
+      assert.ok(!ids.includes('test-throws'));
+    });
+
+    it('moves on to the next provider when one throws or finds nothing', async () => {
+      process.env.GEO_PROVIDERS = 'test-throws,test-empty,stub';
+      const result = await geocodeAddress('80 Feet Road, Koramangala, Bengaluru');
+
+      assert.deepEqual(calls, ['test-throws', 'test-empty']);
+      assert.equal(result.provider, 'stub');
+      assert.equal(typeof result.lat, 'number');
+      assert.deepEqual(await geocodeAddress('80 Feet Road, Koramangala, Bengaluru'), result);
+    });
+
+    it('returns null when every provider fails', async () => {
+      process.env.GEO_PROVIDERS = 'test-throws,test-empty';
+      assert.equal(await geocodeAddress('Indiranagar, Bengaluru'), null);
+      assert.equal(await routeDistance({ lat: 12.97, lng: 77.59 }, { lat: 12.93, lng: 77.62 }, 'motorcycle'), null);
+      assert.deepEqual(calls, ['test-throws', 'test-empty', 'test-throws', 'test-empty']);
+    });
+
+    it('marks straight-line estimates', async () => {
+      process.env.GEO_PROVIDERS = 'test-throws,haversine';
+      const route = await routeDistance({ lat: 12.97, lng: 77.59 }, { lat: 12.93, lng: 77.62 }, 'bicycle');
+      assert.equal(route.provider, 'haversine');
+      assert.equal(route.estimated, true);
+    });
+  });
+
+  describe('timeouts', () => {
+    let server;
+
+    before(async () => {
+      // Accepts connections but never answers
+      server = http.createServer(() => {});
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => {
+      server.closeAllConnections();
+      server.close();
+    });
+
+    it('gives up on a provider that does not answer and tries the next one', async () => {
+      process.env.NOMINATIM_URL = `http://127.0.0.1:${server.address().port}`;
+      process.env.GEO_NOMINATIM_TIMEOUT_MS = '100';
+      process.env.GEO_PROVIDERS = 'nominatim,stub';
+
+      const started = Date.now();
+      const result = await geocodeAddress('MG Road, Bengaluru');
+
+      assert.equal(result.provider, 'stub');
+      assert.ok(Date.now() - started < 2000);
+    });
+  });
+
+  describe('travel distance', () => {
+    const restaurant = { lat: 12.9352, lng: 77.6245 };
+
+    it('routes with the first provider that answers', async () => {
+      process.env.GEO_PROVIDERS = 'test-throws,stub';
+      const travel = await getTravelDistanceKm('Lake View Apartments, Koramangala', restaurant, 'bike');
+
+      assert.equal(travel.source, 'measured_distance');
+      assert.equal(travel.provider, 'stub');
+      assert.equal(travel.transportType, 'motorcycle');
+      assert.ok(travel.distance > 0);
+    });
+
+    it('falls back to 5 km when the address cannot be geocoded', async () => {
+      process.env.GEO_PROVIDERS = 'test-throws,test-empty';
+      const travel = await getTravelDistanceKm('Lake View Apartments, Koramangala', restaurant, 'motorcycle');
+
+      assert.equal(travel.distance, 5);
+      assert.equal(travel.source, 'fallback_distance');
+    });
+
+    it('falls back to 5 km when no provider can route the trip', async () => {
+      process.env.GEO_PROVIDERS = 'test-geocode-only,test-empty';
+      const travel = await getTravelDistanceKm('Lake View Apartments, Koramangala', restaurant, 'motorcycle');
+
+      assert.equal(travel.distance, 5);
+      assert.equal(travel.source, 'fallback_distance');
+      assert.deepEqual(calls, ['test-empty']);
+    });
+
+    it('falls back to 5 km without an address', async () => {
+      process.env.GEO_PROVIDERS = 'stub';
+      const travel = await getTravelDistanceKm('', restaurant);
+
+      assert.equal(travel.distance, 5);
+      assert.equal(travel.transportType, 'motorcycle');
+    });
+  });
+});
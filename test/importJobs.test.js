@@ -0,0 +1,182 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Order = require('../src/models/Order');
+const Restaurant = require('../src/models/Restaurant');
+const ImportJob = require('../src/models/ImportJob');
+const ImportJobChunk = require('../src/models/ImportJobChunk');
+const { saveImportJobChunks, runImportJob, resumePendingImportJobs } = require('../src/services/importJobs');
+const { normalizeOrders } = require('../src/services/importPipeline');
+const swiggyPage = require('./fixtures/swiggy/orders.json');
+
+/**
+ * Let pending promise callbacks run
+ * @return {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('import jobs', () => {
+  let originals;
+
+  beforeEach(() => {
+    originals = {
+      jobFind: ImportJob.find,
+      jobFindById: ImportJob.findById,
+      jobUpdateOne: ImportJob.updateOne,
+      chunkInsertMany: ImportJobChunk.insertMany,
+      chunkFindOne: ImportJobChunk.findOne,
+      chunkDeleteMany: ImportJobChunk.deleteMany,
+      orderFindOne: Order.findOne,
+      orderSave: Order.prototype.save,
+      restaurantFind: Restaurant.find,
+      restaurantFindOneAndUpdate: Restaurant.findOneAndUpdate,
+      restaurantSave: Restaurant.prototype.save
+    };
+    delete process.env.IMPORT_JOB_CONCURRENCY;
+  });
+
+  afterEach(() => {
+    ImportJob.find = originals.jobFind;
+    ImportJob.findById = originals.jobFindById;
+    ImportJob.updateOne = originals.jobUpdateOne;
+    ImportJobChunk.insertMany = originals.chunkInsertMany;
+    ImportJobChunk.findOne = originals.chunkFindOne;
+    ImportJobChunk.deleteMany = originals.chunkDeleteMany;
+    Order.findOne = originals.orderFindOne;
+    Order.prototype.save = originals.orderSave;
+    Restaurant.find = originals.restaurantFind;
+    Restaurant.findOneAndUpdate = originals.restaurantFindOneAndUpdate;
+    Restaurant.prototype.save = originals.restaurantSave;
+    delete process.env.IMPORT_JOB_CONCURRENCY;
+  });
+
+  describe('saveImportJobChunks', () => {
+    it('splits the orders into chunks in order', async () => {
+      let inserted;
+      ImportJobChunk.insertMany = async chunks => { inserted = chunks; };
+
+      await saveImportJobChunks('job1', [1, 2, 3, 4, 5], 2);
+      assert.deepEqual(inserted, [
+        { job: 'job1', index: 0, orders: [1, 2] },
+        { job: 'job1', index: 1, orders: [3, 4] },
+        { job: 'job1', index: 2, orders: [5] }
+      ]);
+    });
+
+    it('stores nothing for a job without orders', async () => {
+      ImportJobChunk.insertMany = async () => assert.fail('no chunks expected');
+      await saveImportJobChunks('job1', [], 2);
+    });
+  });
+
+  describe('runImportJob', () => {
+    it('resumes from the cursor, reading the orders chunk by chunk', async () => {
+      const { orders: [canonical] } = await normalizeOrders('swiggy', swiggyPage);
+      const orders = ['1', '2', '3'].map(orderId => ({ ...canonical, orderId }));
+      const chunks = [orders.slice(0, 2), orders.slice(2)].map((chunkOrders, index) => ({ job: 'job1', index, orders: chunkOrders }));
+
+      const updates = [];
+      const chunkReads = [];
+      let deleted;
+      const stored = [];
+      ImportJob.findById = async () => ({ _id: 'job1', user: new Order()._id, status: 'running', cursor: 1, total: 3, chunkSize: 2 });
+      ImportJob.updateOne = async (filter, update) => { updates.push(update); };
+      ImportJobChunk.findOne = query => {
+        chunkReads.push(query.index);
+        return { lean: async () => chunks[query.index] || null };
+      };
+      ImportJobChunk.deleteMany = async query => { deleted = query; };
+      Order.findOne = async () => null;
+      Order.prototype.save = async function () {
+        stored.push(this.orderId);
+        return this;
+      };
+      Restaurant.find = async () => [];
+      Restaurant.findOneAndUpdate = async (query, update) => new Restaurant(update.$setOnInsert);
+      Restaurant.prototype.save = async function () { return this; };
+
+      await runImportJob('job1');
+
+      assert.deepEqual(stored, ['2', '3']);
+      assert.deepEqual(chunkReads, [0, 1]);
+      assert.deepEqual(updates.filter(update => update.$set).map(update => update.$set.cursor), [2, 3]);
+      assert.equal(updates.at(-1).status, 'completed');
+      assert.deepEqual(deleted, { job: 'job1' });
+    });
+
+    it('fails the job when its orders are missing', async () => {
+      const updates = [];
+      let deleted;
+      ImportJob.findById = async () => ({ _id: 'job1', user: 'user1', status: 'queued', cursor: 0, total: 3, chunkSize: 2 });
+      ImportJob.updateOne = async (filter, update) => { updates.push(update); };
+      ImportJobChunk.findOne = () => ({ lean: async () => null });
+      ImportJobChunk.deleteMany = async query => { deleted = query; };
+
+      await runImportJob('job1');
+
+      assert.equal(updates.at(-1).status, 'failed');
+      assert.equal(updates.at(-1).error, 'Orders from 1 on are missing');
+      assert.deepEqual(deleted, { job: 'job1' });
+    });
+  });
+
+  describe('scheduling', () => {
+    let started;
+    let finish;
+
+    /**
+     * Resume the given jobs, holding each one until finish(id) is called
+     * @param {Array} jobs - [{ _id, user }]
+     */
+    async function resume(jobs) {
+      started = [];
+      const waiting = new Map();
+      finish = async id => {
+        waiting.get(id)(null);
+        await settle();
+      };
+
+      ImportJob.find = () => ({ select: () => ({ sort: async () => jobs }) });
+      ImportJob.findById = id => {
+        started.push(id);
+        return new Promise(resolve => waiting.set(id, resolve));
+      };
+
+      await resumePendingImportJobs();
+      await settle();
+    }
+
+    it('runs one job per user at a time, up to the concurrency limit', async () => {
+      await resume([
+        { _id: 'a1', user: 'userA' },
+        { _id: 'a2', user: 'userA' },
+        { _id: 'b1', user: 'userB' },
+        { _id: 'c1', user: 'userC' }
+      ]);
+      assert.deepEqual(started, ['a1', 'b1']);
+
+      await finish('a1');
+      assert.deepEqual(started, ['a1', 'b1', 'c1']);
+
+      await finish('b1');
+      assert.deepEqual(started, ['a1', 'b1', 'c1', 'a2']);
+
+      await finish('c1');
+      await finish('a2');
+    });
+
+    it('lets users take turns', async () => {
+      process.env.IMPORT_JOB_CONCURRENCY = '1';
+      await resume([
+        { _id: 'a1', user: 'userA' },
+        { _id: 'a2', user: 'userA' },
+        { _id: 'b1', user: 'userB' }
+      ]);
+
+      await finish('a1');
+      await finish('b1');
+      await finish('a2');
+      assert.deepEqual(started, ['a1', 'b1', 'a2']);
+    });
+  });
+});
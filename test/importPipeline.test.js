@@ -0,0 +1,216 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Order = require('../src/models/Order');
+const Restaurant = require('../src/models/Restaurant');
+const Recommendation = require('../src/models/Recommendation');
+const { importOrders, normalizeOrders, parseOrderDate } = require('../src/services/importPipeline');
+const { exportCanonicalOrders } = require('../src/extractors/canonical');
+const { updateOrder } = require('../src/services/orderEdits');
+const swiggyPage = require('./fixtures/swiggy/orders.json');
+
+/**
+ * Replace model methods with in-memory versions for the duration of a test
+ * @return {Object} - { orders, restaurants } saved during the test, and restore()
+ */
+function stubModels() {
+  const saved = { orders: [], restaurants: [] };
+  const originals = {
+    orderFindOne: Order.findOne,
+    orderSave: Order.prototype.save,
+    restaurantFind: Restaurant.find,
+    restaurantFindOneAndUpdate: Restaurant.findOneAndUpdate,
+    restaurantSave: Restaurant.prototype.save,
+    recommendationDeleteMany: Recommendation.deleteMany
+  };
+
+  Order.findOne = async () => null;
+  Order.prototype.save = async function () {
+    saved.orders.push(this);
+    return this;
+  };
+  Restaurant.find = async query => saved.restaurants.filter(restaurant => restaurant.normalizedName === query.normalizedName);
+  Restaurant.findOneAndUpdate = async (query, update) =>
+    saved.restaurants.find(restaurant => restaurant.platformKeys?.includes(query.platformKeys)) ||
+    new Restaurant(update.$setOnInsert);
+  Restaurant.prototype.save = async function () {
+    if (!saved.restaurants.includes(this)) saved.restaurants.push(this);
+    this.isNew = false;
+    return this;
+  };
+  Recommendation.deleteMany = async () => ({ deletedCount: 0 });
+
+  saved.restore = () => {
+    Order.findOne = originals.orderFindOne;
+    Order.prototype.save = originals.orderSave;
+    Restaurant.find = originals.restaurantFind;
+    Restaurant.findOneAndUpdate = originals.restaurantFindOneAndUpdate;
+    Restaurant.prototype.save = originals.restaurantSave;
+    Recommendation.deleteMany = originals.recommendationDeleteMany;
+  };
+  return saved;
+}
+
+describe('import pipeline', () => {
+  describe('parseOrderDate', () => {
+    it('parses ISO dates', () => {
+      assert.equal(parseOrderDate('2025-01-29T21:09:00.000Z').toISOString(), '2025-01-29T21:09:00.000Z');
+    });
+
+    it('returns null for missing or invalid dates', () => {
+      assert.equal(parseOrderDate(''), null);
+      assert.equal(parseOrderDate(undefined), null);
+      assert.equal(parseOrderDate('not a date'), null);
+    });
+  });
+
+  describe('normalizeOrders', () => {
+    it('rejects orders without a valid date instead of dating them now', async () => {
+      const { orders, errors } = await normalizeOrders('zomato', [
+        { orderId: 1, orderDate: 'January 29, 2025 at 09:09 PM', dishString: '1 x Naan', resInfo: { name: 'Dhaba' }, deliveryDetails: {} },
+        { orderId: 2, orderDate: 'sometime', dishString: '1 x Naan', resInfo: { name: 'Dhaba' }, deliveryDetails: {} },
+        { orderId: 3, dishString: '1 x Naan', resInfo: { name: 'Dhaba' }, deliveryDetails: {} }
+      ]);
+
+      assert.deepEqual(orders.map(order => order.orderId), ['1']);
+      assert.deepEqual(errors, [
+        { orderId: '2', status: 'failed', reason: 'missing or invalid order date' },
+        { orderId: '3', status: 'failed', reason: 'missing or invalid order date' }
+      ]);
+    });
+  });
+
+  describe('canonical round trip', () => {
+    /**
+     * A stored order as read back for an export
+     * @param {Object} factors - emissionData.factors
+     * @return {Object}
+     */
+    const storedOrder = factors => ({
+      platform: 'Swiggy',
+      orderId: '178204519936',
+      restaurantName: 'Meghana Foods',
+      orderDate: new Date('2025-02-11T15:11:07.000Z'),
+      orderAmount: 412,
+      orderStatus: 'Delivered',
+      items: [{ name: 'Chicken Biryani', quantity: 1, price: 349 }],
+      dishString: '1 x Chicken Biryani',
+      deliveryAddress: 'Lake View Apartments, Koramangala',
+      restaurantAddress: 'Sarjapur Road, Koramangala',
+      emissionData: {
+        factors: { distance: 3.1, packagingType: 'plastic', ...factors },
+        ranges: { travel: { low: 2.5, high: 5.6, source: 'fallback_distance' } }
+      }
+    });
+
+    it('keeps a transport mode set on the order', async () => {
+      const payload = exportCanonicalOrders([storedOrder({ transportMode: 'bicycle', transportModeSource: 'order' })]);
+      const { orders } = await normalizeOrders('auto', JSON.parse(JSON.stringify(payload)));
+
+      assert.equal(orders[0].transportMode, 'bicycle');
+      assert.equal(orders[0].distanceKm, 3.1);
+    });
+
+    it('keeps where the distance came from', async () => {
+      const payload = exportCanonicalOrders([storedOrder({ transportMode: 'motorcycle', transportModeSource: 'default' })]);
+      const { orders } = await normalizeOrders('canonical', JSON.parse(JSON.stringify(payload)));
+
+      assert.equal(orders[0].distanceSource, 'fallback_distance');
+    });
+
+    it('leaves a preferred or default transport mode to the importing user', async () => {
+      const payload = exportCanonicalOrders([storedOrder({ transportMode: 'scooter', transportModeSource: 'preference' })]);
+      const { orders } = await normalizeOrders('auto', JSON.parse(JSON.stringify(payload)));
+
+      assert.equal(orders[0].transportMode, undefined);
+    });
+  });
+
+  describe('importOrders', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = stubModels();
+    });
+
+    afterEach(() => {
+      saved.restore();
+    });
+
+    it('keeps the restaurant city and platform cuisines', async () => {
+      const { counts } = await importOrders(new Order()._id, 'swiggy', swiggyPage);
+
+      assert.equal(counts.created, 1);
+      assert.equal(saved.restaurants.length, 1);
+
+      const [restaurant] = saved.restaurants;
+      assert.equal(restaurant.name, 'Meghana Foods');
+      assert.equal(restaurant.city, 'Bangalore');
+      assert.equal(restaurant.platforms[0].restaurantId, '23847');
+      assert.deepEqual(restaurant.location.toObject(), { lat: 12.9279232, lng: 77.6271078 });
+      assert.deepEqual([...restaurant.cuisines].slice(0, 2), ['biryani', 'andhra']);
+      assert.equal(saved.orders[0].restaurant, restaurant._id);
+    });
+
+    describe('re-importing a changed order', () => {
+      const userId = new Order()._id;
+
+      /**
+       * The Swiggy page with the order's total and dessert quantity changed
+       * @return {Object}
+       */
+      const changedPage = () => {
+        const page = structuredClone(swiggyPage);
+        page.data.orders[0].order_total = 475;
+        page.data.orders[0].order_items[1].quantity = '2';
+        return page;
+      };
+
+      /**
+       * Import the page, and return the stored order on later lookups
+       * @return {Promise<Object>} - Stored order
+       */
+      const importStored = async () => {
+        await importOrders(userId, 'swiggy', swiggyPage);
+        const [order] = saved.orders;
+        Order.findOne = async () => order;
+        return order;
+      };
+
+      it("keeps the user's corrections", async () => {
+        const order = await importStored();
+        await updateOrder(order, {
+          transportMode: 'bicycle',
+          items: [
+            { name: 'Chicken Biryani', quantity: 1, price: 349 },
+            { name: 'Gulab Jamun', quantity: 1, price: 63, category: 'vegan' }
+          ]
+        }, userId);
+
+        const { counts } = await importOrders(userId, 'swiggy', changedPage());
+
+        assert.equal(counts.updated, 1);
+        assert.equal(order.orderAmount, 475);
+        assert.equal(order.emissionData.factors.transportMode, 'bicycle');
+        assert.equal(order.emissionData.factors.transportModeSource, 'order');
+        assert.deepEqual(order.items.map(item => [item.name, item.quantity]), [['Chicken Biryani', 1], ['Gulab Jamun', 1]]);
+        assert.equal(order.items[1].category, 'vegan');
+        assert.equal(order.items[1].categorySource, 'user');
+        assert.equal(order.revisions.length, 1);
+      });
+
+      it('takes the new payload for fields the user did not edit', async () => {
+        const order = await importStored();
+        await updateOrder(order, { transportMode: 'bicycle' }, userId);
+
+        await importOrders(userId, 'swiggy', changedPage());
+
+        assert.deepEqual(order.items.map(item => [item.name, item.quantity]), [['Chicken Biryani', 1], ['Gulab Jamun', 2]]);
+        assert.equal(order.dishString, '1 x Chicken Biryani, 2 x Gulab Jamun');
+        assert.equal(order.emissionData.factors.transportMode, 'bicycle');
+      });
+    });
+  });
+});
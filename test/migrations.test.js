@@ -0,0 +1,40 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Order = require('../src/models/Order');
+const { dropLegacyIndexes } = require('../src/services/migrations');
+
+/**
+ * Error the server returns for a missing index or collection
+ * @param {number} code - Server error code
+ * @return {Error}
+ */
+function serverError(code) {
+  return Object.assign(new Error(`server error ${code}`), { code });
+}
+
+describe('migrations', () => {
+  afterEach(() => {
+    delete Order.collection.dropIndex;
+  });
+
+  it('drops the per-user order id index', async () => {
+    const names = [];
+    Order.collection.dropIndex = async name => { names.push(name); };
+
+    assert.deepEqual(await dropLegacyIndexes(), ['user_1_orderId_1']);
+    assert.deepEqual(names, ['user_1_orderId_1']);
+  });
+
+  it('does nothing when the index or collection is already gone', async () => {
+    for (const code of [26, 27]) {
+      Order.collection.dropIndex = async () => { throw serverError(code); };
+      assert.deepEqual(await dropLegacyIndexes(), []);
+    }
+  });
+
+  it('does not stop startup on other errors', async () => {
+    Order.collection.dropIndex = async () => { throw serverError(13); };
+    assert.deepEqual(await dropLegacyIndexes(), []);
+  });
+});
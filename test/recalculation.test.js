@@ -0,0 +1,103 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hasEmissionChanged } = require('../src/services/recalculation');
+const { buildProgressUpdate, formatRecalculationJob } = require('../src/services/recalculationJobs');
+
+const emissionData = {
+  totalEmission: 2.35,
+  foodEmission: 1.8,
+  packagingEmission: 0.15,
+  transportEmission: 0.4,
+  factorVersion: 3,
+  confidence: 'medium',
+  factors: { transportMode: 'motorcycle', transportModeSource: 'default', distance: 3.1, packagingType: 'plastic' },
+  ranges: { total: { low: 1.9, high: 2.9, source: 'range' } }
+};
+const items = [{ name: 'Chicken Biryani', emission: 1.8, recipe: 'chicken biryani', source: 'recipe', category: 'meat' }];
+
+describe('recalculation', () => {
+  describe('hasEmissionChanged', () => {
+    it('ignores the order of keys in the stored document', () => {
+      const stored = {
+        emissionData: {
+          ranges: { total: { source: 'range', high: 2.9, low: 1.9 } },
+          factors: { packagingType: 'plastic', distance: 3.1, transportModeSource: 'default', transportMode: 'motorcycle' },
+          confidence: 'medium',
+          factorVersion: 3,
+          transportEmission: 0.4,
+          packagingEmission: 0.15,
+          foodEmission: 1.8,
+          totalEmission: 2.35
+        },
+        items: [{ category: 'meat', source: 'recipe', recipe: 'chicken biryani', emission: 1.8, name: 'Chicken Biryani', _id: 'a1' }]
+      };
+
+      assert.equal(hasEmissionChanged(stored, emissionData, items), false);
+    });
+
+    it('treats floating point noise and missing values as unchanged', () => {
+      const stored = { emissionData: { ...emissionData, totalEmission: 2.3500000000000001 + 1e-9, trip: undefined }, items };
+      assert.equal(hasEmissionChanged(stored, { ...emissionData, trip: null }, items), false);
+    });
+
+    it('reports changed totals, factors and items', () => {
+      const stored = { emissionData, items };
+
+      assert.equal(hasEmissionChanged(stored, { ...emissionData, totalEmission: 2.36 }, items), true);
+      assert.equal(hasEmissionChanged(stored, { ...emissionData, factorVersion: 4 }, items), true);
+      assert.equal(hasEmissionChanged(stored, { ...emissionData, factors: { ...emissionData.factors, transportMode: 'bicycle' } }, items), true);
+      assert.equal(hasEmissionChanged(stored, emissionData, [{ ...items[0], recipe: 'mutton biryani' }]), true);
+      assert.equal(hasEmissionChanged(stored, emissionData, [...items, items[0]]), true);
+    });
+  });
+
+  describe('buildProgressUpdate', () => {
+    it('counts the order and keeps the largest deltas', () => {
+      const update = buildProgressUpdate({ id: 'o1', orderId: '42', platform: 'Swiggy', previousTotalEmission: 2, totalEmission: 1.5, delta: -0.5, status: 'changed' });
+
+      assert.deepEqual(update.$set, { lastOrder: 'o1' });
+      assert.deepEqual(update.$inc, { processed: 1, 'counts.changed': 1, totalDelta: -0.5 });
+      assert.equal(update.$push.largestDeltas.$each[0].magnitude, 0.5);
+      assert.deepEqual(update.$push.largestDeltas.$sort, { magnitude: -1 });
+      assert.equal(update.$push.largestDeltas.$slice, 20);
+    });
+
+    it('records failures without a delta', () => {
+      const update = buildProgressUpdate({ id: 'o2', orderId: '43', platform: 'Zomato', previousTotalEmission: 1, status: 'failed', reason: 'no items' });
+
+      assert.deepEqual(update.$inc, { processed: 1, 'counts.failed': 1, totalDelta: 0 });
+      assert.deepEqual(update.$push.failures.$each, [{ order: 'o2', orderId: '43', platform: 'Zomato', reason: 'no items' }]);
+      assert.equal(update.$push.largestDeltas, undefined);
+    });
+
+    it('pushes nothing for an unchanged order', () => {
+      const update = buildProgressUpdate({ id: 'o3', delta: 0, status: 'unchanged' });
+      assert.equal(update.$push, undefined);
+    });
+  });
+
+  describe('formatRecalculationJob', () => {
+    it('reports progress against the larger of the count and the orders processed', () => {
+      const job = {
+        _id: 'j1',
+        dryRun: true,
+        status: 'running',
+        processed: 12,
+        total: 10,
+        counts: { changed: 3, unchanged: 9, failed: 0 },
+        totalDelta: 1.23456,
+        largestDeltas: [{ order: 'o1', orderId: '42', platform: 'Swiggy', previousTotalEmission: 2, totalEmission: 3, delta: 1, magnitude: 1 }],
+        failures: []
+      };
+      const formatted = formatRecalculationJob(job);
+
+      assert.deepEqual(formatted.progress, { processed: 12, total: 12, percentage: 100 });
+      assert.equal(formatted.userId, null);
+      assert.equal(formatted.totalDelta, 1.23);
+      assert.deepEqual(formatted.largestDeltas, [{ id: 'o1', orderId: '42', platform: 'Swiggy', previousTotalEmission: 2, totalEmission: 3, delta: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Restaurant = require('../src/models/Restaurant');
+const { findOrCreateRestaurant } = require('../src/services/restaurants');
+
+/**
+ * A canonical order from a restaurant
+ * @param {Object} fields - Fields to set on the order
+ * @return {Object}
+ */
+function order(fields) {
+  return {
+    platform: 'Swiggy',
+    restaurantName: "Domino's Pizza",
+    restaurantAddress: '',
+    restaurantCoords: null,
+    restaurantCity: '',
+    items: [],
+    details: {},
+    ...fields
+  };
+}
+
+describe('restaurants', () => {
+  let stored;
+  let originals;
+
+  beforeEach(() => {
+    stored = [];
+    originals = {
+      find: Restaurant.find,
+      findOne: Restaurant.findOne,
+      findOneAndUpdate: Restaurant.findOneAndUpdate,
+      save: Restaurant.prototype.save
+    };
+    Restaurant.find = async query => stored.filter(restaurant => restaurant.normalizedName === query.normalizedName);
+    Restaurant.findOne = async query => stored.find(restaurant => restaurant.platformKeys?.includes(query.platformKeys)) || null;
+    // Atomic, as the server runs it
+    Restaurant.findOneAndUpdate = async (query, update) => {
+      const found = stored.find(restaurant => restaurant.platformKeys?.includes(query.platformKeys));
+      if (found) return found;
+      const restaurant = new Restaurant(update.$setOnInsert);
+      restaurant.isNew = false;
+      stored.push(restaurant);
+      return restaurant;
+    };
+    Restaurant.prototype.save = async function () {
+      if (!stored.includes(this)) stored.push(this);
+      this.isNew = false;
+      return this;
+    };
+  });
+
+  afterEach(() => {
+    Restaurant.find = originals.find;
+    Restaurant.findOne = originals.findOne;
+    Restaurant.findOneAndUpdate = originals.findOneAndUpdate;
+    Restaurant.prototype.save = originals.save;
+  });
+
+  describe('findOrCreateRestaurant', () => {
+    it('keeps restaurants of the same name in different cities apart', async () => {
+      const bangalore = await findOrCreateRestaurant(order({ restaurantCity: 'Bangalore' }));
+      const pune = await findOrCreateRestaurant(order({ restaurantCity: 'Pune' }));
+      const again = await findOrCreateRestaurant(order({ restaurantCity: 'bangalore' }));
+
+      assert.equal(stored.length, 2);
+      assert.notEqual(bangalore, pune);
+      assert.equal(again, bangalore);
+    });
+
+    it('does not merge restaurants whose locations are unknown', async () => {
+      await findOrCreateRestaurant(order({ platformRestaurantId: '101' }));
+      await findOrCreateRestaurant(order({ platformRestaurantId: '202' }));
+
+      assert.equal(stored.length, 2);
+    });
+
+    it('matches by the platform restaurant id without a location', async () => {
+      const first = await findOrCreateRestaurant(order({ platformRestaurantId: '101' }));
+      const second = await findOrCreateRestaurant(order({ platformRestaurantId: '101', restaurantCity: 'Pune' }));
+
+      assert.equal(second, first);
+      assert.equal(first.city, 'Pune');
+    });
+
+    it('lets the platform restaurant id outweigh the same city', async () => {
+      await findOrCreateRestaurant(order({ platformRestaurantId: '101', restaurantCity: 'Pune' }));
+      await findOrCreateRestaurant(order({ platformRestaurantId: '202', restaurantCity: 'Pune' }));
+
+      assert.equal(stored.length, 2);
+    });
+
+    it('does not link an order that neither locates the restaurant nor identifies it', async () => {
+      assert.equal(await findOrCreateRestaurant(order({})), null);
+      assert.equal(stored.length, 0);
+    });
+
+    it('merges listings from different platforms at the same place', async () => {
+      const swiggy = await findOrCreateRestaurant(order({
+        platformRestaurantId: '101',
+        restaurantCoords: { lat: 12.9279232, lng: 77.6271078 }
+      }));
+      const zomato = await findOrCreateRestaurant(order({
+        platform: 'Zomato',
+        platformRestaurantId: '18934562',
+        restaurantCoords: { lat: 12.9280, lng: 77.6272 },
+        details: { restaurantUrl: 'https://www.zomato.com/bangalore/dominos-koramangala' }
+      }));
+
+      assert.equal(zomato, swiggy);
+      assert.deepEqual(swiggy.platforms.map(entry => [entry.platform, entry.restaurantId]), [['Swiggy', '101'], ['Zomato', '18934562']]);
+    });
+
+    it('keeps a known platform restaurant id when a later listing lacks it', async () => {
+      const restaurant = await findOrCreateRestaurant(order({ platformRestaurantId: '101', restaurantCity: 'Pune' }));
+      await findOrCreateRestaurant(order({ restaurantCity: 'Pune', details: { restaurantUrl: 'https://www.swiggy.com/restaurants/dominos-101' } }));
+
+      assert.equal(stored.length, 1);
+      assert.equal(restaurant.platforms[0].restaurantId, '101');
+      assert.equal(restaurant.platforms[0].url, 'https://www.swiggy.com/restaurants/dominos-101');
+    });
+
+    it('keys restaurants by their platform listings', async () => {
+      const restaurant = await findOrCreateRestaurant(order({ platformRestaurantId: '101', restaurantCity: 'Pune' }));
+      await findOrCreateRestaurant(order({ platform: 'Zomato', platformRestaurantId: '18934562', restaurantCity: 'Pune' }));
+      const unidentified = await findOrCreateRestaurant(order({ restaurantCity: 'Mumbai' }));
+
+      assert.deepEqual([...restaurant.platformKeys], ['Swiggy:101', 'Zomato:18934562']);
+      assert.equal(unidentified.platformKeys, undefined);
+    });
+
+    it('creates one restaurant when imports see it at the same time', async () => {
+      const [first, second] = await Promise.all([
+        findOrCreateRestaurant(order({ platformRestaurantId: '101' })),
+        findOrCreateRestaurant(order({ platformRestaurantId: '101', restaurantCity: 'Pune' }))
+      ]);
+
+      assert.equal(stored.length, 1);
+      assert.equal(second, first);
+      assert.equal(first.city, 'Pune');
+    });
+
+    it('reads the existing restaurant back when another import inserted it first', async () => {
+      const existing = new Restaurant({
+        name: "Domino's Pizza",
+        normalizedName: 'dominos pizza',
+        platforms: [{ platform: 'Swiggy', restaurantId: '101' }],
+        platformKeys: ['Swiggy:101']
+      });
+      Restaurant.findOneAndUpdate = async () => {
+        stored.push(existing);
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      };
+
+      const restaurant = await findOrCreateRestaurant(order({ platformRestaurantId: '101' }));
+
+      assert.equal(restaurant, existing);
+      assert.equal(stored.length, 1);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const zomato = require('../src/extractors/zomato');
+const ordersResponse = require('./fixtures/zomato/orders.json');
+const ordersArray = require('./fixtures/zomato/orders-array.json');
+
+describe('Zomato extractor', () => {
+  describe('detect', () => {
+    it('recognises the webroutes response and arrays of orders', () => {
+      assert.equal(zomato.detect(ordersResponse), true);
+      assert.equal(zomato.detect(ordersArray), true);
+    });
+
+    it('recognises any payload fetched from the orders endpoint', () => {
+      assert.equal(zomato.detect({}, 'https://www.zomato.com/webroutes/user/orders?page=2'), true);
+    });
+
+    it('rejects other payloads', () => {
+      assert.equal(zomato.detect({ data: { orders: [{ order_id: 1, restaurant_name: 'Truffles' }] } }), false);
+      assert.equal(zomato.detect([]), false);
+      assert.equal(zomato.detect([{ orderId: 1 }]), false);
+      assert.equal(zomato.detect(null), false);
+      assert.equal(zomato.detect('orders'), false);
+    });
+  });
+
+  describe('parse', () => {
+    it('extracts every complete order of a webroutes response', async () => {
+      const rejected = [];
+      const orders = await zomato.parse(ordersResponse, rejected);
+
+      assert.deepEqual(orders.map(order => order.orderId), ['812345601', '812345602', '812345603']);
+      assert.deepEqual(rejected, [{ orderId: '812345604', platform: 'Zomato', reason: 'missing required fields' }]);
+    });
+
+    it('normalizes order fields', async () => {
+      const [order] = await zomato.parse(ordersResponse);
+
+      assert.equal(order.platform, 'Zomato');
+      assert.equal(order.restaurantName, 'Punjabi Dhaba');
+      assert.equal(order.platformRestaurantId, '18934562');
+      assert.equal(order.orderAmount, 1234.5);
+      assert.equal(order.orderStatus, 'Delivered');
+      assert.deepEqual(order.items, [
+        { name: 'Paneer Tikka', quantity: 2, price: null },
+        { name: 'Butter Naan', quantity: 1, price: null }
+      ]);
+      assert.equal(order.restaurantAddress, '14, 80 Feet Road, Koramangala 5th Block, Bangalore');
+      assert.equal(order.deliveryAddress, 'Flat 402, Lake View Apartments, Koramangala, Bengaluru');
+      assert.deepEqual(order.restaurantCoords, { lat: 12.9352403, lng: 77.6245482 });
+      assert.equal(order.distanceKm, 0);
+      assert.equal(order.details.locality.cityId, 4);
+      assert.equal(order.details.restaurantPhone, '+91 80 4111 2222');
+      assert.equal(order.details.restaurantRating.aggregateRating, '4.1');
+    });
+
+    it('reads order times as Indian Standard Time, independently of the server timezone', async () => {
+      const [evening, midnight] = await zomato.parse(ordersResponse);
+
+      // 09:09 PM and 12:15 AM IST
+      assert.equal(evening.orderDate, '2025-01-29T15:39:00.000Z');
+      assert.equal(midnight.orderDate, '2025-02-02T18:45:00.000Z');
+    });
+
+    it('keeps cancelled orders with their status', async () => {
+      const orders = await zomato.parse(ordersResponse);
+      const cancelled = orders.find(order => order.orderId === '812345603');
+
+      assert.equal(cancelled.orderStatus, 'Order Cancelled');
+      assert.equal(cancelled.orderAmount, 0);
+      assert.equal(cancelled.details.deliveryDetails.deliveryStatus, 3);
+    });
+
+    it('tolerates missing optional fields', async () => {
+      const orders = await zomato.parse(ordersResponse);
+      const cancelled = orders.find(order => order.orderId === '812345603');
+      assert.equal(cancelled.restaurantCoords, null);
+      assert.equal(cancelled.details.restaurantImage, undefined);
+      assert.equal(cancelled.details.restaurantRating.aggregateRating, undefined);
+
+      const [thali, coffee] = await zomato.parse(ordersArray);
+      assert.equal(thali.orderDate, '2024-12-31T18:20:00.000Z');
+      assert.equal(thali.restaurantAddress, '');
+      assert.equal(thali.deliveryAddress, '');
+      assert.equal(thali.details.locality, null);
+      assert.equal(thali.platformRestaurantId, undefined);
+      assert.deepEqual(thali.items.map(item => [item.name, item.quantity]), [['Veg Thali', 1], ['Gulab Jamun', 2]]);
+
+      assert.equal(coffee.orderDate, '2025-01-05T13:20:00.000Z');
+      assert.equal(coffee.orderAmount, 0);
+      assert.equal(coffee.orderStatus, 'Unknown');
+      assert.deepEqual(coffee.items, []);
+      assert.equal(coffee.dishString, '');
+    });
+
+    it('returns no orders for payloads in another format', async () => {
+      assert.deepEqual(await zomato.parse({ data: { orders: [] } }), []);
+    });
+  });
+});